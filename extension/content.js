@@ -1,106 +1,220 @@
 /**
  * @fileoverview Adds "My Folders" and "bookmark chats" functionality with data persistence to the ChatGPT interface.
- * Supports both light and dark modes.
+ * Supports both light and dark modes, following ChatGPT's theme live, with a user-picked accent color.
  * Pinned items appear at top, earliest pinned at top among pinned.
+ * Unpinned items keep the manual order set by drag and drop.
  * Folders appear before bookmark chats.
  * Folder expansion/collapse is maintained on actions.
- * @version 2.4.0
+ * Folders can hold sub-folders to any depth.
+ * A search box filters folders and chats by name, highlighting matches.
+ * Chats can carry colored tags, and a "view by tag" mode groups them across folders.
+ * Folders can have rules (title keyword, regex or link prefix) that file newly opened chats into them.
+ * "Save to folder" buttons in the conversation header and on ChatGPT's history entries open a folder picker.
+ * The open chat is highlighted and revealed in the tree, following ChatGPT's in-page navigation.
+ * Deleted chats and folders go to a Trash, from which they can be restored until auto-purged.
+ * Rows have context menus, and the tree, a fuzzy "jump to chat" palette and global shortcuts work from the keyboard.
+ * The tree, menus and dialogs expose ARIA roles and manage focus for keyboard and screen reader users.
+ * Prompts and confirmations are themed in-page dialogs with inline validation; outcomes show as toasts.
+ * The section is kept in the sidebar as ChatGPT re-renders it, or shown in a floating panel without one.
+ * Storage, the data format and exports live in shared.js, which the popup and options pages also use.
+ * Saved and exported data is versioned; older data is upgraded and every entry validated on load.
+ * @version 2.5.0
  */
 (() => {
     'use strict';
 
-    const LOCAL_STORAGE_KEY = 'myFoldersAndBookmarksData_v2';
-    // Track folder expansion states: { [folderName]: boolean }
+    const {
+        DAY_MS,
+        TAG_COLORS,
+        ACCENT_COLORS,
+        FOLDER_COLORS,
+        FOLDER_ICONS,
+        settings,
+        generateId,
+        isSingleEmoji,
+        emptyData,
+        cloneData,
+        saveSettings,
+        BOOKMARKS_CONTAINER_ID,
+        mergeData,
+        enableSync,
+        saveData,
+        loadData,
+        onDataChanged,
+        onSyncError,
+        onSettingsChanged,
+        sanitizeString,
+        getConversationId,
+        getChatId,
+        normalizeChatHref,
+        DATA_VERSION,
+        RULE_TYPES,
+        checkRule,
+        matchesRule,
+        normalizeData,
+        createExport,
+        readExport,
+        readChatGptExport,
+        parseKeywordRules,
+        unescapeName,
+        EXPORT_FORMATS,
+        sortItems,
+        fuzzyScore,
+        sortedForExport,
+        planImportMerge,
+        countItems,
+        pickFile,
+        downloadFile,
+        createElement,
+        getContrastColor,
+        getTheme,
+    } = MyFolders;
+
+    // Track folder expansion states: { [folderId]: boolean }
     const folderExpansionState = {};
 
-    function saveData(data) {
-        try {
-            localStorage.setItem(LOCAL_STORAGE_KEY, JSON.stringify(data));
-        } catch (error) {
-            console.error('Failed to save data:', error);
-        }
-    }
+    // How long to wait for the sidebar before showing "My Folders" in a floating panel instead
+    const FALLBACK_PANEL_DELAY = 5000;
+    // Mutations come in bursts (a streamed answer is thousands), so mount checks are throttled
+    const MOUNT_CHECK_DELAY = 200;
 
-    function loadData() {
-        try {
-            const data = localStorage.getItem(LOCAL_STORAGE_KEY);
-            if (data) {
-                return JSON.parse(data);
-            } else {
-                return { foldersData: [], bookmarkChats: [] };
-            }
-        } catch (error) {
-            console.error('Failed to load data:', error);
-            return { foldersData: [], bookmarkChats: [] };
-        }
+    // The row holding element, when the row holds nothing else
+    function rowOf(element) {
+        const parent = element.parentElement;
+        return parent && parent.tagName !== 'NAV' && parent.children.length === 1 ? parent : element;
     }
 
-    function sanitizeString(str) {
-        const tempDiv = document.createElement('div');
-        tempDiv.textContent = str;
-        return tempDiv.innerHTML;
-    }
+    /**
+     * Ways of finding the spot in ChatGPT's sidebar for "My Folders", tried in order. Each
+     * returns { element, position } for insertAdjacentElement, or null. Markup ids and links
+     * come first as they don't depend on the UI language.
+     */
+    const SIDEBAR_ANCHORS = [
+        // Below the "GPTs" link
+        () => {
+            const link = document.querySelector('nav a[href="/gpts"]');
+            return link ? { element: rowOf(link), position: 'afterend' } : null;
+        },
+        // Below the "Explore GPTs" button of older versions
+        () => {
+            const button = Array.from(document.querySelectorAll('button')).find(
+                (candidate) => candidate.textContent.trim() === 'Explore GPTs'
+            );
+            return button ? { element: button.parentElement, position: 'afterend' } : null;
+        },
+        // Above the chat history
+        () => {
+            const history = document.getElementById('history');
+            return history ? { element: history, position: 'beforebegin' } : null;
+        },
+        // Above the first group of conversation links
+        () => {
+            const chatLink = document.querySelector('nav a[href*="/c/"]');
+            const group = chatLink && chatLink.closest('ol, ul');
+            return group ? { element: group.parentElement, position: 'beforebegin' } : null;
+        },
+        // At the end of the sidebar
+        () => {
+            const nav = document.querySelector('nav');
+            return nav ? { element: nav, position: 'beforeend' } : null;
+        },
+    ];
 
-    function createElement(tag, options = {}) {
-        const element = document.createElement(tag);
+    /**
+     * Spots for the "Save to folder" button in the header of an open conversation, tried in
+     * order like SIDEBAR_ANCHORS.
+     */
+    const CONVERSATION_HEADER_ANCHORS = [
+        // Before the "Share" button
+        () => {
+            const shareButton = document.querySelector('[data-testid="share-chat-button"]');
+            return shareButton ? { element: shareButton, position: 'beforebegin' } : null;
+        },
+        // First among the header's actions
+        () => {
+            const actions = document.getElementById('conversation-header-actions');
+            return actions ? { element: actions, position: 'afterbegin' } : null;
+        },
+        // At the end of the page header
+        () => {
+            const header = document.querySelector('#page-header, main header');
+            return header ? { element: header, position: 'beforeend' } : null;
+        },
+    ];
 
-        if (options.attributes) {
-            for (const [key, value] of Object.entries(options.attributes)) {
-                element.setAttribute(key, value);
-            }
+    function findAnchor(anchors) {
+        for (const find of anchors) {
+            const anchor = find();
+            if (anchor && anchor.element && anchor.element.isConnected) return anchor;
         }
+        return null;
+    }
 
-        if (options.styles) {
-            Object.assign(element.style, options.styles);
-        }
+    /**
+     * Keeps elements (inserted in order) in ChatGPT's sidebar for the life of the page: they are
+     * put back whenever the sidebar is re-rendered without them, and while no sidebar can be
+     * found for FALLBACK_PANEL_DELAY they live in the panel made by createFallbackPanel().
+     * onPageChange(chromeChanged), if given, runs after each check; chromeChanged tells whether
+     * ChatGPT's sidebar or header changed since the last one, as opposed to the conversation.
+     */
+    function keepMounted(elements, createFallbackPanel, onPageChange = null) {
+        let fallbackPanel = null;
+        let fallbackTimer = null;
+        let checkTimer = null;
+        let chromeChanged = false;
 
-        if (options.properties) {
-            for (const [key, value] of Object.entries(options.properties)) {
-                element[key] = value;
+        function mount() {
+            checkTimer = null;
+            const inFallback = Boolean(fallbackPanel) && fallbackPanel.contains(elements[0]);
+            if (elements.every((element) => element.isConnected) && !inFallback) return;
+
+            const anchor = findAnchor(SIDEBAR_ANCHORS);
+            if (anchor) {
+                clearTimeout(fallbackTimer);
+                fallbackTimer = null;
+                anchor.element.insertAdjacentElement(anchor.position, elements[0]);
+                elements.slice(1).forEach((element, index) => {
+                    elements[index].insertAdjacentElement('afterend', element);
+                });
+                if (fallbackPanel) {
+                    fallbackPanel.remove();
+                    fallbackPanel = null;
+                }
+            } else if (!inFallback && !fallbackTimer) {
+                fallbackTimer = setTimeout(() => {
+                    fallbackTimer = null;
+                    if (elements[0].isConnected) return;
+                    fallbackPanel = fallbackPanel || createFallbackPanel();
+                    elements.forEach((element) => fallbackPanel.appendChild(element));
+                    document.body.appendChild(fallbackPanel);
+                }, FALLBACK_PANEL_DELAY);
             }
         }
 
-        if (options.events) {
-            for (const [eventType, listener] of Object.entries(options.events)) {
-                element.addEventListener(eventType, listener);
+        function check() {
+            mount();
+            if (onPageChange) {
+                const changed = chromeChanged;
+                chromeChanged = false;
+                onPageChange(changed);
             }
         }
 
-        return element;
-    }
-
-    function getTheme() {
-        const bodyStyles = getComputedStyle(document.body);
-        const backgroundColor = bodyStyles.backgroundColor;
-
-        if (backgroundColor) {
-            const rgb = backgroundColor.match(/\d+/g);
-            if (rgb && rgb.length >= 3) {
-                const [r, g, b] = rgb.map(Number);
-                const luminance = 0.299 * r + 0.587 * g + 0.114 * b;
-                return luminance < 128 ? 'dark' : 'light';
+        new MutationObserver((mutations) => {
+            if (onPageChange && !chromeChanged) {
+                chromeChanged = mutations.some(({ target }) => Boolean(target.closest && target.closest('nav, header')));
             }
-        }
-        return 'light';
+            if (!checkTimer) checkTimer = setTimeout(check, MOUNT_CHECK_DELAY);
+        }).observe(document.body, { childList: true, subtree: true });
+        mount();
     }
 
-    function initMyFolders() {
+    async function initMyFolders() {
         if (document.getElementById('my-folders-header')) {
             console.log('"My Folders" already added.');
             return;
         }
 
-        const exploreGPTs = Array.from(document.querySelectorAll('button')).find(
-            (button) => button.textContent.trim() === 'Explore GPTs'
-        );
-
-        if (!exploreGPTs) {
-            console.error('"Explore GPTs" button not found.');
-            return;
-        }
-
-        const theme = getTheme();
-
         const colors = {
             dark: {
                 backgroundColor: '#000',
@@ -112,6 +226,8 @@
                 folderItemBackground: '#222',
                 folderItemBorderColor: '#333',
                 deleteButtonHoverColor: 'red',
+                successColor: '#19c37d',
+                errorColor: '#f87171',
             },
             light: {
                 backgroundColor: '#fff',
@@ -123,41 +239,238 @@
                 folderItemBackground: '#f5f5f5',
                 folderItemBorderColor: '#ddd',
                 deleteButtonHoverColor: 'red',
+                successColor: '#10a37f',
+                errorColor: '#d92d20',
             },
         };
 
-        const themeColors = colors[theme];
+        /**
+         * The palette as CSS variables, set on the page by applyTheme(): inline styles refer to
+         * them, so the whole UI follows theme and accent color changes without re-rendering.
+         */
+        const THEME_VARIABLE_PREFIX = '--my-folders-';
+        const toVariableName = (name) => `${THEME_VARIABLE_PREFIX}${name.replace(/[A-Z]/g, (c) => `-${c.toLowerCase()}`)}`;
+        const themeColors = Object.fromEntries(
+            [...Object.keys(colors.light), 'accentColor'].map((name) => [name, `var(${toVariableName(name)})`])
+        );
+
+        const themeStyle = createElement('style', { attributes: { id: 'my-folders-theme' } });
+        document.head.appendChild(themeStyle);
+
+        // Focus rings for keyboard users, as ChatGPT's own styles remove most outlines. A focused
+        // folder outlines just its header row, not everything inside it.
+        const focusStyle = createElement('style', {
+            attributes: { id: 'my-folders-focus' },
+            properties: {
+                textContent: `
+[data-my-folders-ui]:focus-visible,
+[data-my-folders-ui] :focus-visible,
+[data-my-folders-ui] [data-tree-item]:focus-visible > [data-tree-row] {
+    outline: 2px solid ${themeColors.accentColor} !important;
+    outline-offset: -2px;
+}
+[data-my-folders-ui] [data-tree-item]:not([data-tree-row]):focus-visible {
+    outline: none !important;
+}`,
+            },
+        });
+        document.head.appendChild(focusStyle);
+
+        function applyTheme() {
+            const palette = { ...colors[getTheme()], accentColor: settings.accentColor };
+            const css = `:root {\n${Object.entries(palette)
+                .map(([name, value]) => `    ${toVariableName(name)}: ${value};`)
+                .join('\n')}\n}`;
+            // ChatGPT touches these attributes often; only restyle on a real change
+            if (themeStyle.textContent !== css) themeStyle.textContent = css;
+        }
+        applyTheme();
+
+        // ChatGPT's own theme switch changes the root element; "System" follows the OS setting
+        new MutationObserver(applyTheme).observe(document.documentElement, {
+            attributes: true,
+            attributeFilter: ['class', 'style', 'data-theme'],
+        });
+        window.matchMedia('(prefers-color-scheme: dark)').addEventListener('change', applyTheme);
 
-        let data = loadData();
-        let { foldersData, bookmarkChats } = data;
+        let { foldersData, bookmarkChats, tags, trash } = await loadData();
 
         const now = () => Date.now();
-        function ensureProperties() {
-            foldersData.forEach((folder) => {
-                if (typeof folder.pinned === 'undefined') folder.pinned = false;
-                if (typeof folder.pinnedAt === 'undefined') folder.pinnedAt = null;
-                if (typeof folder.creationIndex === 'undefined') folder.creationIndex = now();
-                folder.chats.forEach((chat) => {
-                    if (typeof chat.pinned === 'undefined') chat.pinned = false;
-                    if (typeof chat.pinnedAt === 'undefined') chat.pinnedAt = null;
-                    if (typeof chat.creationIndex === 'undefined') chat.creationIndex = now();
-                });
+        // Replaces the in-memory data, upgrading and repairing it first
+        function setData(newData) {
+            const { data: valid, errors } = normalizeData(newData, DATA_VERSION);
+            if (errors.length > 0) {
+                console.warn('My Folders repaired data:', errors);
+            }
+            ({ foldersData, bookmarkChats, tags, trash } = valid);
+        }
+
+        // Everything that gets saved and exported
+        function currentData() {
+            return { foldersData, bookmarkChats, tags, trash };
+        }
+
+        // Undo/redo history of { label, before, after } snapshots taken around each change
+        const HISTORY_LIMIT = 50;
+        const undoStack = [];
+        const redoStack = [];
+        // The data as of the last commit, i.e. the "before" of the next change
+        let lastCommittedData = cloneData(currentData());
+
+        /**
+         * Saves the in-memory data after a change. A label makes the change an undo step;
+         * showUndo also pops up a toast with an "Undo" button (for destructive changes).
+         */
+        function commitChange(label, { showUndo = false } = {}) {
+            const after = cloneData(currentData());
+            if (label) {
+                undoStack.push({ label, before: lastCommittedData, after });
+                if (undoStack.length > HISTORY_LIMIT) undoStack.shift();
+                redoStack.length = 0;
+            }
+            lastCommittedData = after;
+            saveData(currentData());
+            updateHistoryMenuItems();
+            if (label && showUndo) {
+                showToast(`${label}.`, { actionLabel: 'Undo', onAction: undo });
+            }
+        }
+
+        // Undo and redo replay the difference between two snapshots onto the current data
+        // (see mergeData), so changes made since in other tabs are kept.
+        function undo() {
+            const entry = undoStack.pop();
+            if (!entry) return;
+            redoStack.push(entry);
+            restoreData(mergeData(entry.after, entry.before, currentData()));
+            showToast(`Undone: ${entry.label}`, { actionLabel: 'Redo', onAction: redo });
+        }
+
+        function redo() {
+            const entry = redoStack.pop();
+            if (!entry) return;
+            undoStack.push(entry);
+            restoreData(mergeData(entry.before, entry.after, currentData()));
+            showToast(`Redone: ${entry.label}`, { actionLabel: 'Undo', onAction: undo });
+        }
+
+        function restoreData(newData) {
+            applyData(newData);
+            saveData(currentData());
+            updateHistoryMenuItems();
+        }
+
+        // Chat of the page being shown, highlighted in the tree. ChatGPT changes it without a reload.
+        let activeChatId = getChatId(window.location.href);
+        // Where copies of each chat are saved (see collectSavedPlaces) and of the active chat,
+        // rebuilt on each render rather than on every change to ChatGPT's page
+        let savedPlaces = new Map();
+        let activeChatPlaces = [];
+
+        function createChatEntry(href, chatName) {
+            const chatId = getChatId(href);
+            return {
+                id: chatId,
+                name: sanitizeString(chatName.trim()),
+                href: normalizeChatHref(href),
+                pinned: false,
+                pinnedAt: null,
+                creationIndex: now(),
+                // Tags and color belong to the conversation, so a new copy starts with the ones it already has
+                tags: getChatTags(chatId),
+                color: getChatColor(chatId),
+            };
+        }
+
+        function createCurrentChatEntry() {
+            return createChatEntry(window.location.href, document.title || 'Unnamed Chat');
+        }
+
+        function createFolderEntry(name) {
+            return {
+                id: generateId('folder'),
+                name,
+                chats: [],
+                folders: [],
+                pinned: false,
+                pinnedAt: null,
+                creationIndex: now(),
+                rules: [],
+                color: null,
+                icon: null,
+            };
+        }
+
+        // Visits every saved chat with the id of its folder (null for bookmarks).
+        function forEachChat(callback) {
+            bookmarkChats.forEach((chat) => callback(chat, null));
+            forEachFolder((folder) => {
+                folder.chats.forEach((chat) => callback(chat, folder.id));
             });
-            bookmarkChats.forEach((chat) => {
-                if (typeof chat.pinned === 'undefined') chat.pinned = false;
-                if (typeof chat.pinnedAt === 'undefined') chat.pinnedAt = null;
-                if (typeof chat.creationIndex === 'undefined') chat.creationIndex = now();
+        }
+
+        // Depth-first walk over every folder, sub-folders included.
+        function forEachFolder(callback, folders = foldersData, parent = null) {
+            folders.forEach((folder) => {
+                callback(folder, parent);
+                forEachFolder(callback, folder.folders, folder);
+            });
+        }
+
+        // Folder names from the top level down to the folder, e.g. ['Work', 'SQL'].
+        function getFolderPath(folderId, folders = foldersData) {
+            for (const folder of folders) {
+                if (folder.id === folderId) return [folder.name];
+                const nested = getFolderPath(folderId, folder.folders);
+                if (nested) return [folder.name, ...nested];
+            }
+            return folderId === null ? [] : null;
+        }
+
+        function findParentFolderId(folderId) {
+            let parentId = null;
+            forEachFolder((folder, parent) => {
+                if (folder.id === folderId && parent) parentId = parent.id;
+            });
+            return parentId;
+        }
+
+        // Returns { folder, siblings, index } for the folder with the given id, at any depth.
+        function findFolderLocation(folderId, folders = foldersData) {
+            for (let index = 0; index < folders.length; index++) {
+                const folder = folders[index];
+                if (folder.id === folderId) {
+                    return { folder, siblings: folders, index };
+                }
+                const nested = findFolderLocation(folderId, folder.folders);
+                if (nested) return nested;
+            }
+            return null;
+        }
+
+        // Asks for a folder name not taken by any of `siblings`; resolves to it sanitized, or null.
+        async function promptFolderName(siblings, message, defaultValue) {
+            const folderName = await showPrompt(message, defaultValue, {
+                validate: (value) => {
+                    const sanitizedFolderName = sanitizeString(value.trim());
+                    if (!sanitizedFolderName) return 'Please enter a folder name.';
+                    if (siblings.some((folder) => folder.name === sanitizedFolderName)) {
+                        return `A folder named "${sanitizedFolderName}" already exists here.`;
+                    }
+                    return null;
+                },
             });
+            return folderName === null ? null : sanitizeString(folderName.trim());
         }
-        ensureProperties();
 
-        const mainHeader = createElement('button', {
-            attributes: { id: 'my-folders-header', title: 'My Folder' },
+        const mainHeader = createElement('div', {
+            attributes: { id: 'my-folders-header', title: 'My Folder', 'data-my-folders-ui': '' },
             styles: {
                 display: 'flex',
                 alignItems: 'center',
                 justifyContent: 'space-between',
                 width: '100%',
+                boxSizing: 'border-box',
                 padding: '10px',
                 background: 'transparent',
                 border: 'none',
@@ -165,22 +478,33 @@
                 cursor: 'pointer',
                 fontSize: '16px',
                 fontWeight: 'normal',
-                fontFamily: getComputedStyle(exploreGPTs).fontFamily,
+                fontFamily: 'inherit',
                 transition: 'background 0.2s, color 0.2s',
                 borderRadius: '7px',
             },
         });
 
-        const folderIconContainer = createElement('div', {
+        // Opens and closes the section; the header's other buttons sit next to it, not inside
+        const folderIconContainer = createElement('button', {
+            attributes: { 'aria-expanded': 'false', 'aria-controls': 'my-folders-items' },
             styles: {
                 display: 'flex',
                 alignItems: 'center',
+                flexGrow: '1',
+                padding: '0',
+                background: 'transparent',
+                border: 'none',
+                color: 'inherit',
+                cursor: 'pointer',
+                fontFamily: 'inherit',
+                textAlign: 'left',
                 borderRadius: '7px',
             },
         });
 
         const folderIcon = createElement('span', {
             properties: { textContent: '📁' },
+            attributes: { 'aria-hidden': 'true' },
             styles: { marginRight: '15px', borderRadius: '7px' },
         });
 
@@ -188,8 +512,8 @@
             properties: { textContent: 'My Folders' },
             styles: {
                 fontWeight: 'normal',
-                fontFamily: getComputedStyle(exploreGPTs).fontFamily,
-                fontSize: getComputedStyle(exploreGPTs).fontSize,
+                fontFamily: 'inherit',
+                fontSize: '14px',
                 borderRadius: '7px',
             },
         });
@@ -199,7 +523,7 @@
 
         const createFolderButton = createElement('button', {
             properties: { textContent: '#' },
-            attributes: { title: 'create folders' },
+            attributes: { title: 'create folders', 'aria-label': 'Create folder' },
             styles: {
                 background: 'transparent',
                 border: 'none',
@@ -216,7 +540,7 @@
             },
             events: {
                 mouseover: () => {
-                    createFolderButton.style.color = '#00aaff';
+                    createFolderButton.style.color = themeColors.accentColor;
                     createFolderButton.style.fontSize = '20px';
                 },
                 mouseout: () => {
@@ -225,37 +549,14 @@
                 },
                 click: (event) => {
                     event.stopPropagation();
-                    const folderName = prompt('Enter folder name:');
-                    if (folderName) {
-                        const sanitizedFolderName = sanitizeString(folderName.trim());
-                        if (sanitizedFolderName) {
-                            if (foldersData.some((folder) => folder.name === sanitizedFolderName)) {
-                                alert(`A folder named "${sanitizedFolderName}" already exists.`);
-                                return;
-                            }
-                            foldersData.push({
-                                name: sanitizedFolderName,
-                                chats: [],
-                                pinned: false,
-                                pinnedAt: null,
-                                creationIndex: now(),
-                            });
-                            saveData({ foldersData, bookmarkChats });
-                            itemsContainer.style.display = 'block';
-                            folderIcon.textContent = '📂';
-                            folderExpansionState[sanitizedFolderName] = true;
-                            renderItems();
-                        } else {
-                            alert('Invalid folder name.');
-                        }
-                    }
+                    createTopLevelFolder();
                 },
             },
         });
 
         const addBookmarkChatButton = createElement('button', {
             properties: { textContent: '+' },
-            attributes: { title: 'add curr chat as bookmark' },
+            attributes: { title: 'add curr chat as bookmark', 'aria-label': 'Bookmark current chat' },
             styles: {
                 background: 'transparent',
                 border: 'none',
@@ -272,7 +573,7 @@
             },
             events: {
                 mouseover: () => {
-                    addBookmarkChatButton.style.color = '#00aaff';
+                    addBookmarkChatButton.style.color = themeColors.accentColor;
                     addBookmarkChatButton.style.fontSize = '22px';
                 },
                 mouseout: () => {
@@ -281,32 +582,48 @@
                 },
                 click: (event) => {
                     event.stopPropagation();
-                    const chatName = document.title || 'Unnamed Chat';
-                    const chatHref = window.location.href;
-                    const sanitizedChatName = sanitizeString(chatName.trim());
-                    if (bookmarkChats.some((c) => c.name === sanitizedChatName && c.href === chatHref)) {
-                        alert(`Chat "${sanitizedChatName}" already bookmarked.`);
-                        return;
-                    }
-
-                    bookmarkChats.push({
-                        name: sanitizedChatName,
-                        href: chatHref,
-                        pinned: false,
-                        pinnedAt: null,
-                        creationIndex: now(),
-                    });
-                    saveData({ foldersData, bookmarkChats });
-                    itemsContainer.style.display = 'block';
-                    folderIcon.textContent = '📂';
-                    renderItems();
+                    bookmarkCurrentChat();
                 },
             },
         });
 
+        async function createTopLevelFolder() {
+            const folderName = await promptFolderName(foldersData, 'Enter folder name:');
+            if (folderName) {
+                const newFolder = createFolderEntry(folderName);
+                foldersData.push(newFolder);
+                commitChange(`Created folder "${folderName}"`);
+                setMyFoldersOpen(true);
+                folderExpansionState[newFolder.id] = true;
+                renderItems();
+            }
+        }
+
+        function bookmarkCurrentChat() {
+            bookmarkChat(createCurrentChatEntry());
+        }
+
+        function bookmarkChat(newChat) {
+            if (bookmarkChats.some((c) => c.id === newChat.id)) {
+                showToast(`"${newChat.name}" is already bookmarked.`);
+                return;
+            }
+
+            bookmarkChats.push(newChat);
+            commitChange(`Bookmarked "${newChat.name}"`);
+            setMyFoldersOpen(true);
+            renderItems();
+        }
+
         const optionsButton = createElement('button', {
             properties: { textContent: '…' },
-            attributes: { title: 'options' },
+            attributes: {
+                title: 'options',
+                'aria-label': 'My Folders options',
+                'aria-haspopup': 'menu',
+                'aria-expanded': 'false',
+                'aria-controls': 'my-folders-options',
+            },
             styles: {
                 background: 'transparent',
                 border: 'none',
@@ -325,7 +642,7 @@
             },
             events: {
                 mouseover: () => {
-                    optionsButton.style.color = '#00aaff';
+                    optionsButton.style.color = themeColors.accentColor;
                     optionsButton.style.fontSize = '20px';
                 },
                 mouseout: () => {
@@ -335,18 +652,22 @@
                 click: (event) => {
                     event.stopPropagation();
                     if (optionsMenu.style.display === 'block') {
-                        optionsMenu.style.display = 'none';
+                        closeOptionsMenu();
                     } else {
-                        optionsMenu.style.display = 'block';
-                        const rect = optionsButton.getBoundingClientRect();
-                        optionsMenu.style.top = `${rect.bottom + window.scrollY}px`;
-                        optionsMenu.style.left = `${rect.left + window.scrollX - optionsMenu.offsetWidth + optionsButton.offsetWidth}px`;
+                        // event.detail is 0 when the button was pressed from the keyboard
+                        openOptionsMenu(event.detail === 0);
                     }
                 },
             },
         });
 
         const optionsMenu = createElement('div', {
+            attributes: {
+                id: 'my-folders-options',
+                role: 'menu',
+                'aria-label': 'My Folders options',
+                'data-my-folders-ui': '',
+            },
             styles: {
                 display: 'none',
                 position: 'absolute',
@@ -359,9 +680,50 @@
             },
         });
 
+        function openOptionsMenu(focusFirstItem) {
+            optionsMenu.style.display = 'block';
+            optionsButton.setAttribute('aria-expanded', 'true');
+            const rect = optionsButton.getBoundingClientRect();
+            optionsMenu.style.top = `${rect.bottom + window.scrollY}px`;
+            optionsMenu.style.left = `${rect.left + window.scrollX - optionsMenu.offsetWidth + optionsButton.offsetWidth}px`;
+            if (focusFirstItem) optionsMenu.firstElementChild.focus();
+        }
+
+        function closeOptionsMenu({ restoreFocus = false } = {}) {
+            optionsMenu.style.display = 'none';
+            optionsButton.setAttribute('aria-expanded', 'false');
+            if (restoreFocus) optionsButton.focus();
+        }
+
+        // Arrow keys, Home and End move through the menu; Escape closes it, Tab leaves it
+        optionsMenu.addEventListener('keydown', (event) => {
+            const items = Array.from(optionsMenu.children);
+            const index = items.indexOf(document.activeElement);
+            let next = null;
+            if (event.key === 'ArrowDown') {
+                next = (index + 1) % items.length;
+            } else if (event.key === 'ArrowUp') {
+                next = (index - 1 + items.length) % items.length;
+            } else if (event.key === 'Home') {
+                next = 0;
+            } else if (event.key === 'End') {
+                next = items.length - 1;
+            } else if (event.key === 'Escape') {
+                event.stopPropagation();
+                closeOptionsMenu({ restoreFocus: true });
+            } else if (event.key === 'Tab') {
+                closeOptionsMenu();
+            }
+            if (next !== null) {
+                event.preventDefault();
+                items[next].focus();
+            }
+        });
+
         function createMenuItem(text, onClick) {
             const item = createElement('div', {
                 properties: { textContent: text },
+                attributes: { role: 'menuitem', tabindex: '-1' },
                 styles: {
                     padding: '5px 10px',
                     cursor: 'pointer',
@@ -369,8 +731,22 @@
                 events: {
                     click: (event) => {
                         event.stopPropagation();
+                        // Items that open a dialog take focus themselves; the rest hand it back
+                        closeOptionsMenu({ restoreFocus: optionsMenu.contains(document.activeElement) });
                         onClick();
-                        optionsMenu.style.display = 'none';
+                    },
+                    keydown: (event) => {
+                        if (event.key !== 'Enter' && event.key !== ' ') return;
+                        event.preventDefault();
+                        item.click();
+                    },
+                    focus: () => {
+                        item.style.background = themeColors.hoverBackgroundColor;
+                        item.style.color = themeColors.hoverTextColor;
+                    },
+                    blur: () => {
+                        item.style.background = themeColors.backgroundColor;
+                        item.style.color = themeColors.textColor;
                     },
                     mouseover: () => {
                         item.style.background = themeColors.hoverBackgroundColor;
@@ -385,58 +761,120 @@
             return item;
         }
 
+        function showFileReadError() {
+            showToast('Failed to read the file.', { tone: 'error' });
+        }
+
         const importItem = createMenuItem('📥 Import User Data', () => {
-            const fileInput = createElement('input', {
-                attributes: { type: 'file', accept: '.json' },
-                styles: { display: 'none' },
-            });
-            fileInput.addEventListener('change', () => {
-                const file = fileInput.files[0];
-                if (!file) return;
-                const reader = new FileReader();
-                reader.onload = (e) => {
-                    try {
-                        const importedData = JSON.parse(e.target.result);
-                        if (
-                            importedData &&
-                            Array.isArray(importedData.foldersData) &&
-                            Array.isArray(importedData.bookmarkChats)
-                        ) {
-                            data = importedData;
-                            foldersData = data.foldersData;
-                            bookmarkChats = data.bookmarkChats;
-                            ensureProperties();
-                            saveData(data);
-                            renderItems();
-                            alert('Data imported successfully!');
-                        } else {
-                            alert('Invalid data format.');
-                        }
-                    } catch (error) {
-                        alert('Failed to import data.');
-                        console.error('Import error:', error);
-                    }
-                };
-                document.body.appendChild(fileInput);
-                fileInput.click();
-                document.body.removeChild(fileInput);
-            });
-            document.body.appendChild(fileInput);
-            fileInput.click();
-            document.body.removeChild(fileInput);
+            pickFile('.json', (contents) => {
+                let imported;
+                try {
+                    imported = readExport(contents);
+                } catch (error) {
+                    showAlert(`Failed to import data: ${error.message}`);
+                    console.error('Import error:', error);
+                    return;
+                }
+                showImportPreview(imported);
+            }, showFileReadError);
+        });
+
+        const importHistoryItem = createMenuItem('🕘 Import ChatGPT History', () => {
+            pickFile('.json', (contents) => {
+                let conversations;
+                try {
+                    conversations = readChatGptExport(contents);
+                } catch (error) {
+                    showAlert(`Failed to import ChatGPT history: ${error.message}`);
+                    console.error('History import error:', error);
+                    return;
+                }
+                showHistoryImportOptions(conversations);
+            }, showFileReadError);
         });
 
         const exportItem = createMenuItem('📤 Export User Data', () => {
-            const dataStr = JSON.stringify({ foldersData, bookmarkChats }, null, 2);
-            const dataBlob = new Blob([dataStr], { type: 'application/json' });
-            const url = URL.createObjectURL(dataBlob);
-            const link = createElement('a', {
-                attributes: { href: url, download: 'my_folders_data.json' },
-            });
-            document.body.appendChild(link);
-            link.click();
-            document.body.removeChild(link);
-            URL.revokeObjectURL(url);
+            downloadFile(JSON.stringify(createExport(currentData()), null, 2), 'my_folders_data.json', 'application/json');
+            showToast('Exported your data to my_folders_data.json.', { tone: 'success' });
+        });
+
+        const exportAsItem = createMenuItem('📄 Export As…', () => {
+            openPopover(optionsButton, (container) => populateExportFormats(container, null));
+        });
+
+        const undoItem = createMenuItem('↩️ Undo', undo);
+        const redoItem = createMenuItem('↪️ Redo', redo);
+
+        function updateHistoryMenuItems() {
+            const lastUndo = undoStack[undoStack.length - 1];
+            const lastRedo = redoStack[redoStack.length - 1];
+            undoItem.textContent = lastUndo ? `↩️ Undo: ${lastUndo.label}` : '↩️ Undo';
+            redoItem.textContent = lastRedo ? `↪️ Redo: ${lastRedo.label}` : '↪️ Redo';
+            undoItem.style.opacity = lastUndo ? '1' : '0.5';
+            redoItem.style.opacity = lastRedo ? '1' : '0.5';
+        }
+        updateHistoryMenuItems();
+
+        const jumpToChatItem = createMenuItem('🔎 Jump to Chat…', openChatPalette);
+        const shortcutsItem = createMenuItem('⌨️ Keyboard Shortcuts', showShortcuts);
+
+        const selectMultipleItem = createMenuItem('☑️ Select Multiple', () => {
+            setSelectionMode(!selectionMode);
+        });
+
+        const syncMenuLabel = () => `☁️ Sync Across Devices: ${settings.syncEnabled ? 'On' : 'Off'}`;
+        const syncItem = createMenuItem(syncMenuLabel(), async () => {
+            if (settings.syncEnabled) {
+                await saveSettings({ syncEnabled: false });
+            } else {
+                const remoteData = await enableSync(currentData(), () => showConfirm(
+                    "Folders from your other devices were found. Replace this device's folders with them?\n\n" +
+                    "Cancel keeps this device's folders and syncs them to your other devices instead.",
+                    { title: 'Sync Across Devices', confirmLabel: 'Replace' }
+                ));
+                if (remoteData) applyData(remoteData);
+            }
+            syncItem.textContent = syncMenuLabel();
+        });
+
+        const folderRulesItem = createMenuItem('⚙️ Folder Rules', showRuleEditor);
+
+        const accentColorItem = createMenuItem('🎨 Accent Color', () => {
+            openPopover(optionsButton, populateAccentPicker);
+        });
+
+        const manageTagsItem = createMenuItem('🏷️ Manage Tags', () => {
+            openPopover(optionsButton, populateTagManager);
+        });
+
+        const viewByTagLabel = () => `🗂️ View by Tag: ${settings.viewByTag ? 'On' : 'Off'}`;
+        const viewByTagItem = createMenuItem(viewByTagLabel(), async () => {
+            await saveSettings({ viewByTag: !settings.viewByTag });
+            viewByTagItem.textContent = viewByTagLabel();
+            setMyFoldersOpen(true);
+            renderItems();
+        });
+
+        const trashRetentionLabel = () => (settings.trashRetentionDays > 0
+            ? `🗑️ Empty Trash After: ${settings.trashRetentionDays} days`
+            : '🗑️ Empty Trash After: never');
+        const trashRetentionItem = createMenuItem(trashRetentionLabel(), async () => {
+            const input = await showPrompt(
+                'Delete items from the Trash after how many days? (0 keeps them until you empty it)',
+                String(settings.trashRetentionDays),
+                {
+                    title: 'Empty Trash After',
+                    validate: (value) => {
+                        const days = Number(value.trim());
+                        return value.trim() && Number.isInteger(days) && days >= 0 ? null : 'Please enter a whole number of days.';
+                    },
+                }
+            );
+            if (input === null) return;
+            const days = Number(input.trim());
+            await saveSettings({ trashRetentionDays: days });
+            trashRetentionItem.textContent = trashRetentionLabel();
+            purgeTrash();
         });
 
         const linkedInItem = createMenuItem('👤 LinkedIn', () => {
@@ -447,140 +885,2323 @@
             window.open('https://github.com/sushant-lavania/ChatGPT-Folders-Extension', '_blank');
         });
 
+        optionsMenu.appendChild(jumpToChatItem);
         optionsMenu.appendChild(importItem);
+        optionsMenu.appendChild(importHistoryItem);
         optionsMenu.appendChild(exportItem);
+        optionsMenu.appendChild(exportAsItem);
+        optionsMenu.appendChild(undoItem);
+        optionsMenu.appendChild(redoItem);
+        optionsMenu.appendChild(selectMultipleItem);
+        optionsMenu.appendChild(manageTagsItem);
+        optionsMenu.appendChild(folderRulesItem);
+        optionsMenu.appendChild(viewByTagItem);
+        optionsMenu.appendChild(accentColorItem);
+        optionsMenu.appendChild(trashRetentionItem);
+        optionsMenu.appendChild(shortcutsItem);
+        optionsMenu.appendChild(syncItem);
         optionsMenu.appendChild(linkedInItem);
         optionsMenu.appendChild(githubItem);
         document.body.appendChild(optionsMenu);
 
-        document.addEventListener('click', (event) => {
-            if (
-                event.target !== optionsMenu &&
-                event.target !== optionsButton &&
-                !optionsMenu.contains(event.target)
-            ) {
-                optionsMenu.style.display = 'none';
-            }
+        // Shared floating panel for the tag manager and the per-chat tag picker
+        const popover = createElement('div', {
+            attributes: { role: 'dialog', 'aria-label': 'My Folders', 'data-my-folders-ui': '' },
+            styles: {
+                display: 'none',
+                position: 'absolute',
+                background: themeColors.backgroundColor,
+                color: themeColors.textColor,
+                border: `1px solid ${themeColors.borderColor}`,
+                borderRadius: '5px',
+                padding: '5px',
+                zIndex: 1000,
+                minWidth: '200px',
+                maxHeight: '320px',
+                overflowY: 'auto',
+            },
         });
+        document.body.appendChild(popover);
 
-        const buttonsContainer = createElement('div', {
+        // Announced by screen readers as toasts come and go
+        const toastContainer = createElement('div', {
+            attributes: { role: 'status', 'aria-live': 'polite', 'data-my-folders-ui': '' },
             styles: {
+                position: 'fixed',
+                left: '20px',
+                bottom: '20px',
+                zIndex: 10000,
                 display: 'flex',
-                alignItems: 'center',
+                flexDirection: 'column',
+                gap: '8px',
             },
         });
+        document.body.appendChild(toastContainer);
 
-        buttonsContainer.appendChild(createFolderButton);
-        buttonsContainer.appendChild(addBookmarkChatButton);
-        buttonsContainer.appendChild(optionsButton);
-
-        mainHeader.appendChild(folderIconContainer);
-        mainHeader.appendChild(buttonsContainer);
+        // Open modals, innermost last: only that one reacts to the keyboard
+        const modalStack = [];
+        const FOCUSABLE_SELECTOR = 'button, [href], input, select, textarea, summary, [tabindex]:not([tabindex="-1"])';
 
-        const itemsContainer = createElement('div', {
-            styles: { display: 'none', borderRadius: '7px' },
-        });
+        /**
+         * In-page modal dialog over a dimmed backdrop. Returns { dialog, body, footer, close }; fill
+         * body with content and footer with buttons. Escape or a click on the backdrop closes it,
+         * as does close(), after which onClose runs. Focus moves into the dialog, stays there while
+         * it is open (Tab wraps around) and goes back where it was when it closes.
+         */
+        function openModal(title, { onClose = null } = {}) {
+            const returnFocus = document.activeElement;
+            const backdrop = createElement('div', {
+                attributes: { 'data-my-folders-ui': '', 'data-my-folders-modal': '' },
+                styles: {
+                    position: 'fixed',
+                    inset: '0',
+                    zIndex: 10001,
+                    display: 'flex',
+                    alignItems: 'center',
+                    justifyContent: 'center',
+                    background: 'rgba(0, 0, 0, 0.5)',
+                },
+            });
+            const headingId = generateId('my-folders-dialog');
+            const panel = createElement('div', {
+                attributes: { role: 'dialog', 'aria-modal': 'true', 'aria-labelledby': headingId },
+                styles: {
+                    display: 'flex',
+                    flexDirection: 'column',
+                    width: '480px',
+                    maxWidth: 'calc(100vw - 40px)',
+                    maxHeight: 'calc(100vh - 80px)',
+                    background: themeColors.backgroundColor,
+                    color: themeColors.textColor,
+                    border: `1px solid ${themeColors.borderColor}`,
+                    borderRadius: '10px',
+                    boxShadow: '0 8px 32px rgba(0, 0, 0, 0.35)',
+                    fontSize: '14px',
+                },
+            });
+            const heading = createElement('h2', {
+                properties: { textContent: title },
+                attributes: { id: headingId },
+                styles: { margin: '0', padding: '16px 20px 8px', fontSize: '16px', fontWeight: 'bold' },
+            });
+            const body = createElement('div', {
+                styles: { padding: '8px 20px', overflowY: 'auto' },
+            });
+            const footer = createElement('div', {
+                styles: {
+                    display: 'flex',
+                    justifyContent: 'flex-end',
+                    gap: '8px',
+                    padding: '12px 20px 16px',
+                },
+            });
 
-        mainHeader.addEventListener('click', (event) => {
-            if (event.target !== createFolderButton && event.target !== addBookmarkChatButton && event.target !== optionsButton) {
-                itemsContainer.style.display =
-                    itemsContainer.style.display === 'none' ? 'block' : 'none';
-                folderIcon.textContent =
-                    itemsContainer.style.display === 'none' ? '📁' : '📂';
+            const onKeyDown = (event) => {
+                if (modalStack[modalStack.length - 1] !== backdrop) return;
+                if (event.key === 'Escape') {
+                    event.stopPropagation();
+                    close();
+                } else if (event.key === 'Tab') {
+                    const focusable = Array.from(panel.querySelectorAll(FOCUSABLE_SELECTOR))
+                        .filter((element) => !element.disabled && element.offsetParent !== null);
+                    if (focusable.length === 0) return;
+                    const first = focusable[0];
+                    const last = focusable[focusable.length - 1];
+                    const outside = !panel.contains(document.activeElement);
+                    if (event.shiftKey && (outside || document.activeElement === first)) {
+                        event.preventDefault();
+                        last.focus();
+                    } else if (!event.shiftKey && (outside || document.activeElement === last)) {
+                        event.preventDefault();
+                        first.focus();
+                    }
+                }
+            };
+            let closed = false;
+            function close() {
+                if (closed) return;
+                closed = true;
+                document.removeEventListener('keydown', onKeyDown, true);
+                modalStack.splice(modalStack.indexOf(backdrop), 1);
+                backdrop.remove();
+                if (returnFocus && returnFocus.isConnected) returnFocus.focus();
+                if (onClose) onClose();
             }
-        });
+            document.addEventListener('keydown', onKeyDown, true);
+            backdrop.addEventListener('click', (event) => {
+                if (event.target === backdrop) close();
+            });
+            panel.addEventListener('click', (event) => event.stopPropagation());
 
-        mainHeader.addEventListener('mouseover', () => {
-            createFolderButton.style.opacity = '1';
-            addBookmarkChatButton.style.opacity = '1';
-            optionsButton.style.opacity = '1';
-            mainHeader.style.background = themeColors.hoverBackgroundColor;
-            mainHeader.style.color = themeColors.hoverTextColor;
-        });
+            panel.appendChild(heading);
+            panel.appendChild(body);
+            panel.appendChild(footer);
+            backdrop.appendChild(panel);
+            document.body.appendChild(backdrop);
+            modalStack.push(backdrop);
+            // Callers fill the dialog after this returns; unless they focus something themselves,
+            // start on its first control
+            panel.tabIndex = -1;
+            setTimeout(() => {
+                if (closed || panel.contains(document.activeElement)) return;
+                const first = panel.querySelector(FOCUSABLE_SELECTOR);
+                (first || panel).focus();
+            }, 0);
+            return { dialog: panel, body, footer, close };
+        }
 
-        mainHeader.addEventListener('mouseout', () => {
-            createFolderButton.style.opacity = '0';
-            addBookmarkChatButton.style.opacity = '0';
-            optionsButton.style.opacity = '0';
-            mainHeader.style.background = 'transparent';
-            mainHeader.style.color = 'inherit';
-        });
+        function createDialogMessage(dialog, message) {
+            const messageElement = createElement('p', {
+                properties: { textContent: message },
+                attributes: { id: generateId('my-folders-message') },
+                styles: { margin: '0 0 8px', whiteSpace: 'pre-line' },
+            });
+            dialog.setAttribute('aria-describedby', messageElement.id);
+            return messageElement;
+        }
 
-        function togglePin(item) {
-            if (!item.pinned) {
-                item.pinned = true;
-                item.pinnedAt = Date.now();
-            } else {
-                item.pinned = false;
-                item.pinnedAt = null;
-            }
+        /**
+         * In-page stand-ins for window.alert, confirm and prompt, which block the whole ChatGPT
+         * page and can't be themed. Each returns a promise of the answer.
+         */
+        function showAlert(message, title = 'My Folders') {
+            return new Promise((resolve) => {
+                const { dialog, body, footer, close } = openModal(title, { onClose: resolve });
+                dialog.setAttribute('role', 'alertdialog');
+                body.appendChild(createDialogMessage(dialog, message));
+                const okButton = createModalButton('OK', close, true);
+                footer.appendChild(okButton);
+                okButton.focus();
+            });
         }
 
-        function sortItems(a, b) {
-            // pinned first
-            if (a.pinned !== b.pinned) {
-                return a.pinned ? -1 : 1; // pinned at top
-            }
-            // both pinned => by pinnedAt ascending
-            if (a.pinned && b.pinned) {
-                return (a.pinnedAt || 0) - (b.pinnedAt || 0);
-            }
-            // both unpinned => by creationIndex ascending
-            return (a.creationIndex || 0) - (b.creationIndex || 0);
+        // Resolves to true for the confirm button, false for Cancel, Escape or the backdrop.
+        // Destructive questions start on Cancel, so a stray Enter doesn't delete anything.
+        function showConfirm(message, { title = 'My Folders', confirmLabel = 'OK', destructive = false } = {}) {
+            return new Promise((resolve) => {
+                let confirmed = false;
+                const { dialog, body, footer, close } = openModal(title, { onClose: () => resolve(confirmed) });
+                dialog.setAttribute('role', 'alertdialog');
+                body.appendChild(createDialogMessage(dialog, message));
+                const cancelButton = createModalButton('Cancel', close);
+                const confirmButton = createModalButton(confirmLabel, () => {
+                    confirmed = true;
+                    close();
+                }, true);
+                footer.appendChild(cancelButton);
+                footer.appendChild(confirmButton);
+                (destructive ? cancelButton : confirmButton).focus();
+            });
         }
 
-        function renderChatsInFolder(folderContent, folderChats, currentFolderName) {
-            folderContent.innerHTML = '';
-            const sortedChats = folderChats.slice().sort(sortItems);
+        /**
+         * Message shown under a form field while its value is invalid. setError(message) shows it
+         * and marks the field invalid for screen readers; setError(null) clears it.
+         */
+        function createFieldError(field) {
+            const element = createElement('div', {
+                attributes: { id: generateId('my-folders-error'), role: 'alert' },
+                styles: { display: 'none', marginTop: '6px', color: themeColors.errorColor, fontSize: '13px' },
+            });
+            field.setAttribute('aria-describedby', element.id);
+            const setError = (message) => {
+                element.textContent = message || '';
+                element.style.display = message ? 'block' : 'none';
+                field.style.borderColor = message ? themeColors.errorColor : themeColors.borderColor;
+                if (message) field.setAttribute('aria-invalid', 'true');
+                else field.removeAttribute('aria-invalid');
+            };
+            return { element, setError };
+        }
 
-            if (sortedChats.length === 0) {
-                // show (empty) if no chats
-                const emptyMsg = document.createElement('div');
-                emptyMsg.textContent = '(empty)';
-                emptyMsg.style.fontStyle = 'italic';
-                emptyMsg.style.opacity = '0.7';
-                folderContent.appendChild(emptyMsg);
-            } else {
-                sortedChats.forEach((chat) => {
-                    const chatItem = createChatItem(chat, currentFolderName, false);
-                    folderContent.appendChild(chatItem);
+        /**
+         * Resolves to the entered text, or null when cancelled. validate(value) may return an
+         * error message, shown under the field, in which case the dialog stays open.
+         */
+        function showPrompt(message, defaultValue = '', { title = 'My Folders', confirmLabel = 'OK', validate = null } = {}) {
+            return new Promise((resolve) => {
+                let answer = null;
+                const { dialog, body, footer, close } = openModal(title, { onClose: () => resolve(answer) });
+                const messageElement = createDialogMessage(dialog, message);
+                const input = createElement('input', {
+                    attributes: { type: 'text', 'aria-labelledby': messageElement.id },
+                    properties: { value: defaultValue || '' },
+                    styles: {
+                        width: '100%',
+                        boxSizing: 'border-box',
+                        padding: '8px 10px',
+                        background: 'transparent',
+                        color: 'inherit',
+                        border: `1px solid ${themeColors.borderColor}`,
+                        borderRadius: '7px',
+                        fontSize: '14px',
+                    },
                 });
-            }
+                const fieldError = createFieldError(input);
+                const submit = () => {
+                    const error = validate ? validate(input.value) : null;
+                    if (error) {
+                        fieldError.setError(error);
+                        input.focus();
+                        return;
+                    }
+                    answer = input.value;
+                    close();
+                };
+                input.addEventListener('input', () => fieldError.setError(null));
+                input.addEventListener('keydown', (event) => {
+                    if (event.key === 'Enter') {
+                        event.preventDefault();
+                        submit();
+                    }
+                    // Keep ChatGPT's own shortcuts from reacting to typing here
+                    event.stopPropagation();
+                });
+                body.appendChild(messageElement);
+                body.appendChild(input);
+                body.appendChild(fieldError.element);
+                footer.appendChild(createModalButton('Cancel', close));
+                footer.appendChild(createModalButton(confirmLabel, submit, true));
+                input.focus();
+                input.select();
+            });
         }
 
-        function createChatItem(chat, currentFolderName, isBookmarkChat = false) {
-            const chatName = chat.name;
-            const chatHref = chat.href;
+        function createModalButton(text, onClick, primary = false) {
+            return createElement('button', {
+                properties: { textContent: text },
+                styles: {
+                    padding: '6px 14px',
+                    background: primary ? themeColors.accentColor : 'transparent',
+                    color: primary ? '#fff' : 'inherit',
+                    border: `1px solid ${primary ? themeColors.accentColor : themeColors.borderColor}`,
+                    borderRadius: '7px',
+                    cursor: 'pointer',
+                    fontSize: '14px',
+                },
+                events: {
+                    click: (event) => {
+                        event.stopPropagation();
+                        onClick();
+                    },
+                },
+            });
+        }
+
+        const TOAST_TONES = {
+            info: { icon: 'ℹ️', color: themeColors.accentColor },
+            success: { icon: '✅', color: themeColors.successColor },
+            error: { icon: '⚠️', color: themeColors.errorColor },
+        };
+
+        /**
+         * Brief non-blocking message in the corner, optionally with one action button. The tone
+         * (info, success or error) sets its icon and edge color. It stays while hovered.
+         */
+        function showToast(message, { tone = 'info', actionLabel = null, onAction = null, duration = 6000 } = {}) {
+            const { icon, color } = TOAST_TONES[tone] || TOAST_TONES.info;
+            const toast = createElement('div', {
+                styles: {
+                    display: 'flex',
+                    alignItems: 'center',
+                    gap: '12px',
+                    maxWidth: '360px',
+                    padding: '10px 14px',
+                    background: themeColors.backgroundColor,
+                    color: themeColors.textColor,
+                    border: `1px solid ${themeColors.borderColor}`,
+                    borderLeft: `4px solid ${color}`,
+                    borderRadius: '7px',
+                    boxShadow: '0 4px 12px rgba(0, 0, 0, 0.25)',
+                    fontSize: '14px',
+                },
+            });
+            toast.appendChild(createElement('span', {
+                properties: { textContent: icon },
+                attributes: { 'aria-hidden': 'true' },
+            }));
+            toast.appendChild(createElement('span', {
+                properties: { textContent: message },
+                styles: { flexGrow: '1' },
+            }));
+            if (actionLabel) {
+                toast.appendChild(createElement('button', {
+                    properties: { textContent: actionLabel },
+                    styles: {
+                        background: 'none',
+                        border: 'none',
+                        color: themeColors.accentColor,
+                        fontWeight: 'bold',
+                        cursor: 'pointer',
+                        fontSize: '14px',
+                    },
+                    events: {
+                        click: (event) => {
+                            event.stopPropagation();
+                            toast.remove();
+                            onAction();
+                        },
+                    },
+                }));
+            }
+            toast.appendChild(createElement('button', {
+                properties: { textContent: '×' },
+                attributes: { title: 'dismiss', 'aria-label': 'Dismiss' },
+                styles: {
+                    background: 'none',
+                    border: 'none',
+                    color: 'inherit',
+                    cursor: 'pointer',
+                    fontSize: '16px',
+                    lineHeight: '1',
+                    padding: '0',
+                },
+                events: {
+                    click: (event) => {
+                        event.stopPropagation();
+                        toast.remove();
+                    },
+                },
+            }));
+            toastContainer.appendChild(toast);
+
+            let timer = setTimeout(() => toast.remove(), duration);
+            toast.addEventListener('mouseenter', () => clearTimeout(timer));
+            toast.addEventListener('mouseleave', () => {
+                timer = setTimeout(() => toast.remove(), duration);
+            });
+        }
+        let popoverPopulate = null;
+        // Row that opened a context menu from the keyboard, focused again when the menu closes
+        let popoverReturnFocus = null;
+
+        // Arrow keys walk the rows of a menu, Escape closes it
+        popover.addEventListener('keydown', (event) => {
+            if (event.key === 'Escape') {
+                event.stopPropagation();
+                closePopover();
+                return;
+            }
+            if (event.key !== 'ArrowDown' && event.key !== 'ArrowUp') return;
+            const rows = Array.from(popover.querySelectorAll('[data-popover-row]'));
+            if (rows.length === 0) return;
+            event.preventDefault();
+            const current = rows.indexOf(document.activeElement);
+            const step = event.key === 'ArrowDown' ? 1 : -1;
+            const next = current === -1
+                ? (step === 1 ? 0 : rows.length - 1)
+                : (current + step + rows.length) % rows.length;
+            rows[next].focus();
+        });
+
+        document.addEventListener('click', (event) => {
+            // Dialogs opened from a menu or the popover (say, renaming a tag) keep it open
+            if (event.target.closest && event.target.closest('[data-my-folders-modal]')) return;
+            if (
+                event.target !== optionsMenu &&
+                event.target !== optionsButton &&
+                !optionsMenu.contains(event.target)
+            ) {
+                closeOptionsMenu();
+            }
+            if (!popover.contains(event.target)) {
+                closePopover();
+            }
+        });
+
+        const buttonsContainer = createElement('div', {
+            styles: {
+                display: 'flex',
+                alignItems: 'center',
+            },
+        });
+
+        buttonsContainer.appendChild(createFolderButton);
+        buttonsContainer.appendChild(addBookmarkChatButton);
+        buttonsContainer.appendChild(optionsButton);
+
+        mainHeader.appendChild(folderIconContainer);
+        mainHeader.appendChild(buttonsContainer);
+
+        const itemsContainer = createElement('div', {
+            attributes: { id: 'my-folders-items', 'data-my-folders-ui': '' },
+            styles: { display: 'none', borderRadius: '7px' },
+        });
+
+        // Lower-cased text of the search box; empty when not filtering
+        let searchQuery = '';
+        // Expansion toggled while a filter is active; dropped when it is cleared so
+        // folderExpansionState comes back untouched
+        let searchExpansionState = {};
+
+        const searchInput = createElement('input', {
+            attributes: {
+                type: 'search',
+                placeholder: 'Search folders and chats',
+                title: 'filter folders and chats',
+                'aria-label': 'Search folders and chats',
+            },
+            styles: {
+                width: '100%',
+                boxSizing: 'border-box',
+                margin: '0 0 8px',
+                padding: '6px 10px',
+                background: themeColors.folderItemBackground,
+                color: themeColors.textColor,
+                border: `1px solid ${themeColors.borderColor}`,
+                borderRadius: '7px',
+                fontSize: '14px',
+                outline: 'none',
+            },
+            events: {
+                input: () => {
+                    setSearchQuery(searchInput.value);
+                },
+                keydown: (event) => {
+                    if (event.key === 'Escape' && searchInput.value) {
+                        event.stopPropagation();
+                        searchInput.value = '';
+                        setSearchQuery('');
+                    }
+                },
+            },
+        });
+
+        const treeContainer = createElement('div', {
+            attributes: { role: 'tree', 'aria-label': 'My Folders' },
+            styles: { borderRadius: '7px' },
+        });
+
+        // The Trash sits below the tree: its entries can only be restored or deleted
+        const trashContainer = createElement('div', {
+            attributes: { role: 'region', 'aria-label': 'Trash' },
+        });
+
+        function createToolbarButton(text, title, onClick, hoverColor = themeColors.accentColor) {
+            const button = createElement('button', {
+                properties: { textContent: text },
+                attributes: { title },
+                styles: {
+                    background: 'transparent',
+                    border: `1px solid ${themeColors.borderColor}`,
+                    borderRadius: '5px',
+                    padding: '2px 8px',
+                    color: 'inherit',
+                    cursor: 'pointer',
+                    fontSize: '12px',
+                    transition: 'color 0.2s',
+                },
+                events: {
+                    mouseover: () => {
+                        button.style.color = hoverColor;
+                    },
+                    mouseout: () => {
+                        button.style.color = 'inherit';
+                    },
+                    click: (event) => {
+                        event.stopPropagation();
+                        onClick(event);
+                    },
+                },
+            });
+            return button;
+        }
+
+        const selectionCount = createElement('span', {
+            styles: { flexBasis: '100%', opacity: '0.8' },
+        });
+
+        // Batch actions, shown in multi-select mode
+        const selectionToolbar = createElement('div', {
+            styles: {
+                display: 'none',
+                flexWrap: 'wrap',
+                alignItems: 'center',
+                gap: '6px',
+                marginBottom: '8px',
+                padding: '6px 8px',
+                border: `1px solid ${themeColors.borderColor}`,
+                borderRadius: '7px',
+                fontSize: '13px',
+            },
+        });
+        const moveSelectionButton = createToolbarButton('Move…', 'move selected items', () => {
+            openPopover(moveSelectionButton, (container) => populateMoveTargets(container, (targetFolderId) => {
+                closePopover();
+                batchMove(targetFolderId);
+            }));
+        });
+        selectionToolbar.appendChild(selectionCount);
+        selectionToolbar.appendChild(createToolbarButton('All', 'select all visible items', selectAllVisible));
+        selectionToolbar.appendChild(createToolbarButton('None', 'clear selection', () => {
+            selectedItems.clear();
+            updateSelectionUI();
+        }));
+        selectionToolbar.appendChild(moveSelectionButton);
+        selectionToolbar.appendChild(createToolbarButton('Pin', 'pin selected items', () => batchSetPinned(true)));
+        selectionToolbar.appendChild(createToolbarButton('Unpin', 'unpin selected items', () => batchSetPinned(false)));
+        selectionToolbar.appendChild(createToolbarButton('Export', 'export selected items', batchExport));
+        selectionToolbar.appendChild(createToolbarButton(
+            'Delete',
+            'delete selected items',
+            batchDelete,
+            themeColors.deleteButtonHoverColor
+        ));
+        selectionToolbar.appendChild(createToolbarButton('Done', 'leave multi-select', () => setSelectionMode(false)));
+
+        itemsContainer.appendChild(searchInput);
+        itemsContainer.appendChild(selectionToolbar);
+        itemsContainer.appendChild(treeContainer);
+        itemsContainer.appendChild(trashContainer);
+
+        function setSearchQuery(value) {
+            searchQuery = value.trim().toLowerCase();
+            if (!searchQuery) searchExpansionState = {};
+            renderItems();
+        }
+
+        // Names are stored HTML-escaped; they are compared as typed, like the popup and options pages do.
+        function matchesSearch(name) {
+            return Boolean(searchQuery) && unescapeName(String(name)).toLowerCase().includes(searchQuery);
+        }
+
+        // True when any chat or sub-folder below this folder matches the search.
+        function folderContainsMatch(folder) {
+            return (
+                folder.chats.some((chat) => matchesSearch(chat.name)) ||
+                folder.folders.some((subFolder) => matchesSearch(subFolder.name) || folderContainsMatch(subFolder))
+            );
+        }
+
+        function isFolderExpanded(folder) {
+            if (!searchQuery) return folderExpansionState[folder.id] || false;
+            if (folder.id in searchExpansionState) return searchExpansionState[folder.id];
+            // Folders holding a match open up while filtering
+            return folderContainsMatch(folder);
+        }
+
+        // While searching, opening and closing folders only lasts until the search is cleared.
+        function setFolderExpanded(folder, expanded) {
+            if (searchQuery) {
+                searchExpansionState[folder.id] = expanded;
+            } else {
+                folderExpansionState[folder.id] = expanded;
+            }
+        }
+
+        // Sets the element's text, wrapping search matches in <mark>.
+        function setHighlightedText(element, text) {
+            element.textContent = '';
+            const lowerText = String(text).toLowerCase();
+            let start = 0;
+            let matchIndex = searchQuery ? lowerText.indexOf(searchQuery) : -1;
+            while (matchIndex !== -1) {
+                if (matchIndex > start) {
+                    element.appendChild(document.createTextNode(text.slice(start, matchIndex)));
+                }
+                const mark = createElement('mark', {
+                    properties: { textContent: text.slice(matchIndex, matchIndex + searchQuery.length) },
+                    styles: { background: '#ffd54f', color: '#000', borderRadius: '3px' },
+                });
+                element.appendChild(mark);
+                start = matchIndex + searchQuery.length;
+                matchIndex = lowerText.indexOf(searchQuery, start);
+            }
+            if (start < text.length) {
+                element.appendChild(document.createTextNode(text.slice(start)));
+            }
+        }
+
+        function setMyFoldersOpen(open) {
+            itemsContainer.style.display = open ? 'block' : 'none';
+            folderIcon.textContent = open ? '📂' : '📁';
+            folderIconContainer.setAttribute('aria-expanded', String(open));
+            if (open) updateTreeTabStop();
+        }
+
+        mainHeader.addEventListener('click', (event) => {
+            if (event.target !== createFolderButton && event.target !== addBookmarkChatButton && event.target !== optionsButton) {
+                setMyFoldersOpen(itemsContainer.style.display === 'none');
+            }
+        });
+
+        mainHeader.addEventListener('mouseover', () => {
+            createFolderButton.style.opacity = '1';
+            addBookmarkChatButton.style.opacity = '1';
+            optionsButton.style.opacity = '1';
+            mainHeader.style.background = themeColors.hoverBackgroundColor;
+            mainHeader.style.color = themeColors.hoverTextColor;
+        });
+
+        mainHeader.addEventListener('mouseout', () => {
+            createFolderButton.style.opacity = '0';
+            addBookmarkChatButton.style.opacity = '0';
+            optionsButton.style.opacity = '0';
+            mainHeader.style.background = 'transparent';
+            mainHeader.style.color = 'inherit';
+        });
+
+        // The header buttons also show while the keyboard is on the header
+        mainHeader.addEventListener('focusin', () => {
+            createFolderButton.style.opacity = '1';
+            addBookmarkChatButton.style.opacity = '1';
+            optionsButton.style.opacity = '1';
+        });
+
+        mainHeader.addEventListener('focusout', (event) => {
+            if (mainHeader.contains(event.relatedTarget)) return;
+            createFolderButton.style.opacity = '0';
+            addBookmarkChatButton.style.opacity = '0';
+            optionsButton.style.opacity = '0';
+        });
+
+        function togglePin(item) {
+            if (!item.pinned) {
+                item.pinned = true;
+                item.pinnedAt = Date.now();
+            } else {
+                item.pinned = false;
+                item.pinnedAt = null;
+            }
+        }
+
+        // Item currently being dragged: { type: 'chat', chatId, name, href, folderId } or { type: 'folder', folderId }
+        let dragState = null;
+        // "Bookmarks" section header; also shown while dragging a chat so it can be dropped there
+        let bookmarkDropZone = null;
+
+        function getChatContainer(folderId) {
+            if (folderId === null) return bookmarkChats;
+            const location = findFolderLocation(folderId);
+            return location ? location.folder.chats : null;
+        }
+
+        function getDropPosition(event, element, allowInside) {
+            const rect = element.getBoundingClientRect();
+            const offset = (event.clientY - rect.top) / rect.height;
+            if (allowInside && offset > 0.25 && offset < 0.75) return 'inside';
+            return offset < 0.5 ? 'before' : 'after';
+        }
+
+        function showDropIndicator(element, position) {
+            const shadows = {
+                before: `inset 0 2px 0 ${themeColors.accentColor}`,
+                after: `inset 0 -2px 0 ${themeColors.accentColor}`,
+                inside: `inset 0 0 0 2px ${themeColors.accentColor}`,
+            };
+            element.style.boxShadow = shadows[position];
+        }
+
+        function clearDropIndicator(element) {
+            element.style.boxShadow = 'none';
+        }
+
+        // Moves a chat into the folder (or bookmarks when toFolderId is null), placed
+        // before/after targetChat, or at the end when no target is given.
+        // Only changes the in-memory data; returns { moved, error }.
+        function relocateChat(source, toFolderId, targetChat = null, position = 'after') {
+            const fromChats = getChatContainer(source.folderId);
+            const toChats = getChatContainer(toFolderId);
+            if (!fromChats || !toChats) return { moved: false, error: null };
+
+            const chatIndex = fromChats.findIndex((c) => c.id === source.chatId);
+            if (chatIndex === -1) return { moved: false, error: null };
+            if (targetChat && targetChat.id === source.chatId) return { moved: false, error: null };
+
+            if (fromChats !== toChats && toChats.some((c) => c.id === source.chatId)) {
+                return { moved: false, error: `Chat "${source.name}" is already there.` };
+            }
+
+            const [chat] = fromChats.splice(chatIndex, 1);
+            let insertIndex = toChats.length;
+            if (targetChat) {
+                const targetIndex = toChats.findIndex((c) => c.id === targetChat.id);
+                if (targetIndex !== -1) {
+                    insertIndex = position === 'before' ? targetIndex : targetIndex + 1;
+                }
+            }
+            toChats.splice(insertIndex, 0, chat);
+            return { moved: true, error: null };
+        }
+
+        function moveChat(source, toFolderId, targetChat = null, position = 'after') {
+            const { moved, error } = relocateChat(source, toFolderId, targetChat, position);
+            if (error) showToast(error, { tone: 'error' });
+            if (!moved) return;
+            commitChange(`Moved "${source.name}"`);
+            if (toFolderId !== null) folderExpansionState[toFolderId] = true;
+            renderItems();
+        }
+
+        // Moves a folder before/after targetFolderId, inside it, or to the end of the
+        // top level when no target is given.
+        // Only changes the in-memory data; returns { moved, error }.
+        function relocateFolder(folderId, targetFolderId = null, position = 'inside') {
+            if (folderId === targetFolderId) return { moved: false, error: null };
+            const source = findFolderLocation(folderId);
+            if (!source) return { moved: false, error: null };
+
+            let destination = foldersData;
+            let target = null;
+            if (targetFolderId !== null) {
+                // A folder can't be moved into its own subtree
+                if (findFolderLocation(targetFolderId, source.folder.folders)) {
+                    return { moved: false, error: 'A folder cannot be moved into one of its own sub-folders.' };
+                }
+                target = findFolderLocation(targetFolderId);
+                if (!target) return { moved: false, error: null };
+                destination = position === 'inside' ? target.folder.folders : target.siblings;
+            }
+
+            if (
+                destination !== source.siblings &&
+                destination.some((f) => f.name === source.folder.name)
+            ) {
+                return { moved: false, error: `A folder named "${source.folder.name}" already exists there.` };
+            }
+
+            source.siblings.splice(source.index, 1);
+            let insertIndex = destination.length;
+            if (target && position !== 'inside') {
+                const targetIndex = destination.findIndex((f) => f.id === targetFolderId);
+                insertIndex = position === 'before' ? targetIndex : targetIndex + 1;
+            }
+            destination.splice(insertIndex, 0, source.folder);
+            return { moved: true, error: null };
+        }
+
+        function moveFolder(folderId, targetFolderId = null, position = 'inside') {
+            const { moved, error } = relocateFolder(folderId, targetFolderId, position);
+            if (error) showToast(error, { tone: 'error' });
+            if (!moved) return;
+            const { folder } = findFolderLocation(folderId);
+            commitChange(`Moved folder "${folder.name}"`);
+            if (targetFolderId !== null && position === 'inside') folderExpansionState[targetFolderId] = true;
+            renderItems();
+        }
+
+        function endDrag() {
+            dragState = null;
+            clearDropIndicator(itemsContainer);
+            itemsContainer.querySelectorAll('[data-drop-target]').forEach(clearDropIndicator);
+            if (bookmarkDropZone && bookmarkChats.length === 0) bookmarkDropZone.style.display = 'none';
+        }
+
+        /**
+         * Registers an element as a drop zone. `resolve(event)` returns the drop position
+         * ('before', 'after' or 'inside') for the current drag, or null when the drag
+         * can't be dropped here; `onDrop(position)` performs the move.
+         */
+        function makeDropTarget(element, resolve, onDrop) {
+            element.dataset.dropTarget = 'true';
+            element.addEventListener('dragover', (event) => {
+                if (!dragState) return;
+                const position = resolve(event);
+                if (!position) return;
+                event.preventDefault();
+                event.stopPropagation();
+                event.dataTransfer.dropEffect = 'move';
+                showDropIndicator(element, position);
+            });
+            element.addEventListener('dragleave', () => {
+                clearDropIndicator(element);
+            });
+            element.addEventListener('drop', (event) => {
+                if (!dragState) return;
+                const position = resolve(event);
+                if (!position) return;
+                event.preventDefault();
+                event.stopPropagation();
+                const state = dragState;
+                endDrag();
+                onDrop(position, state);
+            });
+        }
+
+        function makeDraggable(element, getState) {
+            element.setAttribute('draggable', 'true');
+            element.addEventListener('dragstart', (event) => {
+                event.stopPropagation();
+                dragState = getState();
+                event.dataTransfer.effectAllowed = 'move';
+                event.dataTransfer.setData('text/plain', dragState.href || '');
+                if (dragState.type === 'chat' && bookmarkDropZone) bookmarkDropZone.style.display = 'block';
+            });
+            element.addEventListener('dragend', endDrag);
+        }
+
+        // Shows the shared popover under `anchor`, filled in by populate(popover).
+        function openPopover(anchor, populate) {
+            popover.setAttribute('role', 'dialog');
+            popoverPopulate = populate;
+            popover.innerHTML = '';
+            populate(popover);
+            popover.style.display = 'block';
+            const rect = anchor.getBoundingClientRect();
+            popover.style.top = `${rect.bottom + window.scrollY}px`;
+            popover.style.left = `${Math.max(0, rect.right + window.scrollX - popover.offsetWidth)}px`;
+            // The keyboard follows into the popover, and back to the anchor when it closes
+            if (anchor.contains(document.activeElement)) {
+                popoverReturnFocus = anchor;
+                focusPopover();
+            }
+        }
+
+        // Shows the shared popover at a point of the viewport, such as where a context menu was asked for.
+        function openPopoverAt(x, y, populate) {
+            popoverPopulate = populate;
+            popover.innerHTML = '';
+            populate(popover);
+            popover.style.display = 'block';
+            // Keep it on screen
+            const top = Math.max(0, Math.min(y, window.innerHeight - popover.offsetHeight));
+            const left = Math.max(0, Math.min(x, window.innerWidth - popover.offsetWidth));
+            popover.style.top = `${top + window.scrollY}px`;
+            popover.style.left = `${left + window.scrollX}px`;
+        }
+
+        // Redraws the open popover after its data changed (the anchor may have been re-rendered).
+        function refreshPopover() {
+            if (popover.style.display !== 'block') return;
+            // Keep the keyboard on the same control in the redrawn popover
+            const focusIndex = Array.from(popover.querySelectorAll(FOCUSABLE_SELECTOR)).indexOf(document.activeElement);
+            popover.innerHTML = '';
+            popoverPopulate(popover);
+            if (focusIndex !== -1) {
+                const controls = popover.querySelectorAll(FOCUSABLE_SELECTOR);
+                if (controls.length > 0) controls[Math.min(focusIndex, controls.length - 1)].focus();
+            }
+        }
+
+        function closePopover() {
+            const hadFocus = popover.contains(document.activeElement);
+            popover.setAttribute('role', 'dialog');
+            popover.style.display = 'none';
+            popover.innerHTML = '';
+            popoverPopulate = null;
+            // Give focus back to the row a keyboard-opened menu came from
+            if (hadFocus && popoverReturnFocus && popoverReturnFocus.isConnected) popoverReturnFocus.focus();
+            popoverReturnFocus = null;
+        }
+
+        // Swaps what the open popover shows, e.g. when a menu entry opens a sub-menu.
+        function showInPopover(populate) {
+            const hadFocus = popover.contains(document.activeElement);
+            popover.setAttribute('role', 'dialog');
+            popoverPopulate = populate;
+            refreshPopover();
+            if (hadFocus) focusPopover();
+        }
+
+        function focusPopover() {
+            const first = popover.querySelector(FOCUSABLE_SELECTOR);
+            if (first) first.focus();
+        }
+
+        function createPopoverRow(children, onClick) {
+            const row = createElement('div', {
+                styles: {
+                    display: 'flex',
+                    alignItems: 'center',
+                    gap: '8px',
+                    padding: '5px 10px',
+                    borderRadius: '5px',
+                    cursor: onClick ? 'pointer' : 'default',
+                },
+                events: {
+                    mouseover: () => {
+                        row.style.background = themeColors.hoverBackgroundColor;
+                    },
+                    mouseout: () => {
+                        row.style.background = 'transparent';
+                    },
+                    focus: () => {
+                        row.style.background = themeColors.hoverBackgroundColor;
+                    },
+                    blur: () => {
+                        row.style.background = 'transparent';
+                    },
+                },
+            });
+            if (onClick) {
+                // Rows that do something are reachable with the keyboard too
+                row.tabIndex = 0;
+                row.setAttribute('role', 'button');
+                row.dataset.popoverRow = 'true';
+                row.addEventListener('click', (event) => {
+                    event.stopPropagation();
+                    onClick(event);
+                });
+                row.addEventListener('keydown', (event) => {
+                    if (event.key !== 'Enter' && event.key !== ' ') return;
+                    event.preventDefault();
+                    event.stopPropagation();
+                    onClick(event);
+                });
+            }
+            children.forEach((child) => row.appendChild(child));
+            return row;
+        }
+
+        // Downloads the whole tree (folder null) or one folder with everything in it.
+        function exportTree(formatKey, folder) {
+            const format = EXPORT_FORMATS[formatKey];
+            const title = folder ? unescapeName(folder.name) : 'My Folders';
+            const folders = sortedForExport(folder ? [folder] : foldersData);
+            const chats = folder ? [] : bookmarkChats.slice().sort(sortItems);
+            const basePath = folder ? getFolderPath(folder.id).slice(0, -1) : [];
+            const fileName = folder
+                ? `my_folders_${title.replace(/[^\w-]+/g, '_').toLowerCase()}.${format.extension}`
+                : `my_folders.${format.extension}`;
+            downloadFile(format.build(title, folders, chats, basePath), fileName, format.mimeType);
+            showToast(`Exported "${title}" to ${fileName}.`, { tone: 'success' });
+        }
+
+        function populateExportFormats(container, folder) {
+            container.appendChild(createElement('div', {
+                properties: { textContent: folder ? `Export "${unescapeName(folder.name)}" as` : 'Export all as' },
+                styles: { padding: '5px 10px', fontWeight: 'bold' },
+            }));
+            Object.entries(EXPORT_FORMATS).forEach(([formatKey, format]) => {
+                const label = createElement('span', { properties: { textContent: format.label } });
+                container.appendChild(createPopoverRow([label], () => {
+                    closePopover();
+                    exportTree(formatKey, folder);
+                }));
+            });
+        }
+
+        function createTagSwatch(tag) {
+            return createElement('span', {
+                styles: {
+                    display: 'inline-block',
+                    width: '10px',
+                    height: '10px',
+                    borderRadius: '50%',
+                    background: tag.color,
+                    flexShrink: '0',
+                },
+            });
+        }
+
+        async function setAccentColor(color) {
+            await saveSettings({ accentColor: color });
+            applyTheme();
+            refreshPopover();
+        }
+
+        function populateAccentPicker(container) {
+            container.appendChild(createElement('div', {
+                properties: { textContent: 'Accent color' },
+                styles: { padding: '5px 10px', fontWeight: 'bold' },
+            }));
+            ACCENT_COLORS.forEach((color) => {
+                const swatch = createTagSwatch({ color });
+                const label = createElement('span', {
+                    properties: { textContent: color === settings.accentColor ? `${color} ✓` : color },
+                    styles: { flexGrow: '1' },
+                });
+                container.appendChild(createPopoverRow([swatch, label], () => setAccentColor(color)));
+            });
+
+            const customInput = createElement('input', {
+                attributes: { type: 'color', title: 'pick any color', 'aria-label': 'Custom accent color' },
+                properties: { value: settings.accentColor },
+                styles: { width: '28px', height: '20px', padding: '0', border: 'none', background: 'none', cursor: 'pointer' },
+                events: {
+                    click: (event) => event.stopPropagation(),
+                    change: () => setAccentColor(customInput.value),
+                },
+            });
+            const customLabel = createElement('span', {
+                properties: {
+                    textContent: ACCENT_COLORS.includes(settings.accentColor) ? 'Custom…' : `Custom: ${settings.accentColor} ✓`,
+                },
+            });
+            container.appendChild(createPopoverRow([customInput, customLabel]));
+        }
+
+        function getChatTags(chatId) {
+            let chatTags = [];
+            forEachChat((chat) => {
+                if (chat.id === chatId && chat.tags.length > 0) chatTags = chat.tags.slice();
+            });
+            return chatTags;
+        }
+
+        // Tags belong to the conversation, so every saved copy of the chat is updated.
+        function setChatTag(chatId, tagId, enabled) {
+            forEachChat((chat) => {
+                if (chat.id !== chatId) return;
+                const hasTag = chat.tags.includes(tagId);
+                if (enabled && !hasTag) chat.tags.push(tagId);
+                if (!enabled && hasTag) chat.tags = chat.tags.filter((id) => id !== tagId);
+            });
+            const tag = tags.find((t) => t.id === tagId);
+            commitChange(enabled ? `Tagged chat "${tag.name}"` : `Removed tag "${tag.name}"`);
+            renderItems();
+        }
+
+        function getChatColor(chatId) {
+            let color = null;
+            forEachChat((chat) => {
+                if (chat.id === chatId && chat.color) color = chat.color;
+            });
+            return color;
+        }
+
+        // Like tags, the color is the conversation's: every saved copy of the chat is updated.
+        function setChatColor(chatId, color) {
+            let chatName = '';
+            forEachChat((chat) => {
+                if (chat.id !== chatId) return;
+                chat.color = color;
+                chatName = chat.name;
+            });
+            commitChange(color ? `Colored chat "${chatName}"` : `Removed the color of "${chatName}"`);
+            renderItems();
+        }
+
+        async function promptTagName(message, defaultValue, tagId = null) {
+            const tagName = await showPrompt(message, defaultValue, {
+                validate: (value) => {
+                    const sanitizedTagName = sanitizeString(value.trim());
+                    if (!sanitizedTagName) return 'Please enter a tag name.';
+                    if (tags.some((tag) => tag.id !== tagId && tag.name === sanitizedTagName)) {
+                        return `A tag named "${sanitizedTagName}" already exists.`;
+                    }
+                    return null;
+                },
+            });
+            return tagName === null ? null : sanitizeString(tagName.trim());
+        }
+
+        async function createTag() {
+            const tagName = await promptTagName('Enter tag name:');
+            if (!tagName) return null;
+            const tag = {
+                id: generateId('tag'),
+                name: tagName,
+                color: TAG_COLORS[tags.length % TAG_COLORS.length],
+            };
+            tags.push(tag);
+            commitChange(`Created tag "${tagName}"`);
+            return tag;
+        }
+
+        async function deleteTag(tag) {
+            const confirmed = await showConfirm(`Delete the tag "${tag.name}"? It will be removed from every chat.`, {
+                confirmLabel: 'Delete',
+                destructive: true,
+            });
+            if (!confirmed) return;
+            tags = tags.filter((t) => t.id !== tag.id);
+            forEachChat((chat) => {
+                chat.tags = chat.tags.filter((tagId) => tagId !== tag.id);
+            });
+            delete tagExpansionState[tag.id];
+            commitChange(`Deleted tag "${tag.name}"`, { showUndo: true });
+            renderItems();
+        }
+
+        function populateTagManager(container) {
+            container.appendChild(createElement('div', {
+                properties: { textContent: 'Tags' },
+                styles: { padding: '5px 10px', fontWeight: 'bold' },
+            }));
+
+            if (tags.length === 0) {
+                container.appendChild(createElement('div', {
+                    properties: { textContent: '(no tags yet)' },
+                    styles: { padding: '5px 10px', fontStyle: 'italic', opacity: '0.7' },
+                }));
+            }
+
+            tags.forEach((tag) => {
+                const colorInput = createElement('input', {
+                    attributes: { type: 'color', title: 'tag color', 'aria-label': `Color of ${tag.name}` },
+                    properties: { value: tag.color },
+                    styles: {
+                        width: '20px',
+                        height: '20px',
+                        padding: '0',
+                        border: 'none',
+                        background: 'none',
+                        cursor: 'pointer',
+                    },
+                    events: {
+                        click: (event) => event.stopPropagation(),
+                        change: () => {
+                            tag.color = colorInput.value;
+                            commitChange(`Recolored tag "${tag.name}"`);
+                            renderItems();
+                        },
+                    },
+                });
+                const nameSpan = createElement('button', {
+                    properties: { textContent: tag.name },
+                    attributes: { title: 'click to rename', 'aria-label': `Rename ${tag.name}` },
+                    styles: {
+                        flexGrow: '1',
+                        padding: '0',
+                        background: 'none',
+                        border: 'none',
+                        color: 'inherit',
+                        font: 'inherit',
+                        textAlign: 'left',
+                        cursor: 'pointer',
+                    },
+                    events: {
+                        click: async (event) => {
+                            event.stopPropagation();
+                            const newName = await promptTagName('Enter new tag name:', tag.name, tag.id);
+                            if (newName) {
+                                tag.name = newName;
+                                commitChange(`Renamed tag "${newName}"`);
+                                renderItems();
+                                refreshPopover();
+                            }
+                        },
+                    },
+                });
+                const deleteTagButton = createElement('button', {
+                    properties: { textContent: '×' },
+                    attributes: { title: 'delete tag', 'aria-label': `Delete ${tag.name}` },
+                    styles: {
+                        background: 'none',
+                        border: 'none',
+                        color: 'inherit',
+                        fontSize: '16px',
+                        cursor: 'pointer',
+                    },
+                    events: {
+                        click: async (event) => {
+                            event.stopPropagation();
+                            await deleteTag(tag);
+                            refreshPopover();
+                        },
+                    },
+                });
+                container.appendChild(createPopoverRow([colorInput, nameSpan, deleteTagButton]));
+            });
+
+            container.appendChild(createPopoverRow(
+                [createElement('span', { properties: { textContent: '+ New tag' } })],
+                async () => {
+                    if (await createTag()) {
+                        renderItems();
+                        refreshPopover();
+                    }
+                }
+            ));
+        }
+
+        function populateTagPicker(container, chatId) {
+            const chatTags = getChatTags(chatId);
+            tags.forEach((tag) => {
+                const checkbox = createElement('input', {
+                    attributes: { type: 'checkbox', tabindex: '-1', 'aria-hidden': 'true' },
+                    properties: { checked: chatTags.includes(tag.id) },
+                    styles: { pointerEvents: 'none' },
+                });
+                const nameSpan = createElement('span', { properties: { textContent: tag.name } });
+                const row = createPopoverRow([checkbox, createTagSwatch(tag), nameSpan], () => {
+                    setChatTag(chatId, tag.id, !checkbox.checked);
+                    refreshPopover();
+                });
+                row.setAttribute('role', 'checkbox');
+                row.setAttribute('aria-checked', String(checkbox.checked));
+                container.appendChild(row);
+            });
+
+            container.appendChild(createPopoverRow(
+                [createElement('span', { properties: { textContent: '+ New tag' } })],
+                async () => {
+                    const tag = await createTag();
+                    if (tag) {
+                        setChatTag(chatId, tag.id, true);
+                        refreshPopover();
+                    }
+                }
+            ));
+        }
+
+        // Screen readers get the tags from the row's label instead
+        function createTagChips(chat) {
+            const chips = createElement('span', {
+                attributes: { 'aria-hidden': 'true' },
+                styles: { display: 'flex', flexWrap: 'wrap', gap: '4px', marginLeft: '6px' },
+            });
+            chat.tags.forEach((tagId) => {
+                const tag = tags.find((t) => t.id === tagId);
+                if (!tag) return;
+                chips.appendChild(createElement('span', {
+                    properties: { textContent: tag.name },
+                    attributes: { title: `tag: ${tag.name}` },
+                    styles: {
+                        padding: '0 6px',
+                        borderRadius: '8px',
+                        fontSize: '11px',
+                        lineHeight: '16px',
+                        background: tag.color,
+                        color: getContrastColor(tag.color),
+                        whiteSpace: 'nowrap',
+                    },
+                }));
+            });
+            return chips;
+        }
+
+        // Multi-select mode. selectedItems maps a selection key to { type: 'chat', chatId, name, folderId }
+        // or { type: 'folder', folderId }; it survives re-renders and search filtering.
+        let selectionMode = false;
+        const selectedItems = new Map();
+        // { key, item, checkbox } for every selectable row of the current render, in on-screen order
+        let selectionCheckboxes = [];
+        // Where a shift-click range starts
+        let lastSelectedKey = null;
+
+        function chatSelectionKey(chatId, folderId) {
+            return `chat:${folderId === null ? BOOKMARKS_CONTAINER_ID : folderId}/${chatId}`;
+        }
+
+        function folderSelectionKey(folderId) {
+            return `folder:${folderId}`;
+        }
+
+        function setSelectionMode(enabled) {
+            selectionMode = enabled;
+            selectedItems.clear();
+            lastSelectedKey = null;
+            selectionToolbar.style.display = enabled ? 'flex' : 'none';
+            setMyFoldersOpen(true);
+            renderItems();
+        }
+
+        // Space on the row toggles it from the keyboard, so the checkbox itself isn't a tab stop.
+        function createSelectionCheckbox(key, item, name) {
+            const checkbox = createElement('input', {
+                attributes: {
+                    type: 'checkbox',
+                    title: 'select (shift-click for a range)',
+                    'aria-label': `Select ${name}`,
+                    tabindex: '-1',
+                },
+                properties: { checked: selectedItems.has(key) },
+                styles: { margin: '0 8px 0 0', cursor: 'pointer', flexShrink: '0' },
+                events: {
+                    click: (event) => {
+                        event.stopPropagation();
+                        toggleSelection(key, item, event.shiftKey);
+                    },
+                },
+            });
+            selectionCheckboxes.push({ key, item, checkbox });
+            return checkbox;
+        }
+
+        function toggleSelection(key, item, extendRange) {
+            // Ranges only cover rows that are actually on screen (not inside collapsed folders)
+            const visible = selectionCheckboxes.filter(({ checkbox }) => checkbox.offsetParent !== null);
+            const anchorIndex = visible.findIndex((entry) => entry.key === lastSelectedKey);
+            const index = visible.findIndex((entry) => entry.key === key);
+            if (extendRange && anchorIndex !== -1 && index !== -1) {
+                const [from, to] = anchorIndex < index ? [anchorIndex, index] : [index, anchorIndex];
+                visible.slice(from, to + 1).forEach((entry) => selectedItems.set(entry.key, entry.item));
+            } else if (selectedItems.has(key)) {
+                selectedItems.delete(key);
+            } else {
+                selectedItems.set(key, item);
+            }
+            lastSelectedKey = key;
+            updateSelectionUI();
+        }
+
+        function selectAllVisible() {
+            selectionCheckboxes
+                .filter(({ checkbox }) => checkbox.offsetParent !== null)
+                .forEach(({ key, item }) => selectedItems.set(key, item));
+            updateSelectionUI();
+        }
+
+        function updateSelectionUI() {
+            selectionCheckboxes.forEach(({ key, checkbox }) => {
+                checkbox.checked = selectedItems.has(key);
+            });
+            selectionCount.textContent = `${selectedItems.size} selected`;
+        }
+
+        function findChatEntry(item) {
+            const chats = getChatContainer(item.folderId);
+            return chats ? chats.find((c) => c.id === item.chatId) : null;
+        }
+
+        // True when the folder, or one of its ancestors, is itself selected.
+        function isInSelectedFolder(folderId) {
+            if (folderId === null) return false;
+            return Array.from(selectedItems.values()).some((item) => {
+                if (item.type !== 'folder') return false;
+                const selected = findFolderLocation(item.folderId);
+                return selected && (item.folderId === folderId || findFolderLocation(folderId, selected.folder.folders));
+            });
+        }
+
+        function finishBatch(label, options) {
+            selectedItems.clear();
+            lastSelectedKey = null;
+            commitChange(label, options);
+            renderItems();
+        }
+
+        function batchSetPinned(pinned) {
+            selectedItems.forEach((item) => {
+                const target = item.type === 'folder'
+                    ? (findFolderLocation(item.folderId) || {}).folder
+                    : findChatEntry(item);
+                if (target && target.pinned !== pinned) togglePin(target);
+            });
+            finishBatch(`${pinned ? 'Pinned' : 'Unpinned'} ${selectedItems.size} items`);
+        }
+
+        async function batchDelete() {
+            if (selectedItems.size === 0) return;
+            const count = selectedItems.size;
+            const confirmed = await showConfirm(
+                `Move ${count} selected item${count === 1 ? '' : 's'} to the Trash? Folders go with everything inside them.`,
+                { confirmLabel: 'Move to Trash', destructive: true }
+            );
+            if (!confirmed) return;
+            selectedItems.forEach((item) => {
+                if (item.type === 'folder') {
+                    trashFolder(item.folderId);
+                } else {
+                    trashChat(item.chatId, item.folderId);
+                }
+            });
+            finishBatch(`Moved ${count} item${count === 1 ? '' : 's'} to the Trash`, { showUndo: true });
+        }
+
+        // targetFolderId null moves chats to bookmarks and folders to the top level.
+        function batchMove(targetFolderId) {
+            const errors = [];
+            let movedCount = 0;
+            selectedItems.forEach((item) => {
+                // A chat already in the destination would only be reordered
+                if (item.type === 'chat' && item.folderId === targetFolderId) return;
+                // Selected folders carry their contents along
+                const { moved, error } = item.type === 'folder'
+                    ? relocateFolder(item.folderId, targetFolderId, 'inside')
+                    : relocateChat(item, targetFolderId);
+                if (moved) movedCount++;
+                if (error) errors.push(error);
+            });
+            const skippedCount = selectedItems.size - movedCount;
+            if (movedCount > 0) {
+                if (targetFolderId !== null) folderExpansionState[targetFolderId] = true;
+                finishBatch(`Moved ${movedCount} items`);
+            }
+            if (errors.length > 0) {
+                showAlert(`${movedCount > 0 ? 'Some items were not moved' : 'No items were moved'}:\n${errors.join('\n')}`);
+            } else if (skippedCount > 0) {
+                showToast(movedCount > 0
+                    ? `Moved ${movedCount} items; ${skippedCount} were already there and were skipped.`
+                    : `Nothing moved: none of the ${skippedCount} selected items can be moved there.`);
+            }
+        }
+
+        function populateMoveTargets(container, onPick, title = 'Move selected to') {
+            container.appendChild(createElement('div', {
+                properties: { textContent: title },
+                styles: { padding: '5px 10px', fontWeight: 'bold' },
+            }));
+            container.appendChild(createPopoverRow(
+                [createElement('span', { properties: { textContent: '📎 Bookmarks / top level' } })],
+                () => onPick(null)
+            ));
+            const addFolderRows = (folders, depth) => {
+                folders.slice().sort(sortItems).forEach((folder) => {
+                    const label = createElement('span', {
+                        properties: { textContent: `📁 ${folder.name}` },
+                        styles: { paddingLeft: `${depth * 12}px` },
+                    });
+                    container.appendChild(createPopoverRow([label], () => onPick(folder.id)));
+                    addFolderRows(folder.folders, depth + 1);
+                });
+            };
+            addFolderRows(foldersData, 0);
+        }
+
+        // Exports the selection in the regular data format, so it can be imported elsewhere.
+        function batchExport() {
+            if (selectedItems.size === 0) return;
+            const exported = emptyData();
+            selectedItems.forEach((item) => {
+                if (item.type === 'folder') {
+                    const location = findFolderLocation(item.folderId);
+                    if (location && !isInSelectedFolder(findParentFolderId(item.folderId))) {
+                        exported.foldersData.push(cloneData(location.folder));
+                    }
+                } else if (!isInSelectedFolder(item.folderId)) {
+                    const chat = findChatEntry(item);
+                    if (chat && !exported.bookmarkChats.some((c) => c.id === chat.id)) {
+                        exported.bookmarkChats.push(cloneData(chat));
+                    }
+                }
+            });
+
+            const usedTagIds = new Set();
+            const collectTags = (chats) => chats.forEach((chat) => chat.tags.forEach((tagId) => usedTagIds.add(tagId)));
+            collectTags(exported.bookmarkChats);
+            forEachFolder((folder) => collectTags(folder.chats), exported.foldersData);
+            exported.tags = tags.filter((tag) => usedTagIds.has(tag.id)).map(cloneData);
+
+            downloadFile(JSON.stringify(createExport(exported), null, 2), 'my_folders_selection.json', 'application/json');
+        }
+
+        // Removes a chat from its folder (or bookmarks when folderId is null) into the Trash.
+        function trashChat(chatId, folderId) {
+            const chats = getChatContainer(folderId);
+            const chatIndex = chats ? chats.findIndex((c) => c.id === chatId) : -1;
+            if (chatIndex === -1) return null;
+            const [chat] = chats.splice(chatIndex, 1);
+            trash.push({
+                id: generateId('trash'),
+                type: 'chat',
+                item: chat,
+                originFolderId: folderId,
+                originPath: getFolderPath(folderId) || [],
+                deletedAt: Date.now(),
+            });
+            return chat;
+        }
+
+        // Removes a folder, with everything inside it, into the Trash.
+        function trashFolder(folderId) {
+            const location = findFolderLocation(folderId);
+            if (!location) return null;
+            const parentId = findParentFolderId(folderId);
+            forEachFolder((folder) => {
+                delete folderExpansionState[folder.id];
+            }, [location.folder]);
+            location.siblings.splice(location.index, 1);
+            trash.push({
+                id: generateId('trash'),
+                type: 'folder',
+                item: location.folder,
+                originFolderId: parentId,
+                originPath: getFolderPath(parentId) || [],
+                deletedAt: Date.now(),
+            });
+            return location.folder;
+        }
+
+        // Puts a trashed item back where it was, or at the top level when its folder is gone.
+        function restoreFromTrash(entryId) {
+            const entry = trash.find((e) => e.id === entryId);
+            if (!entry) return;
+            const origin = entry.originFolderId === null ? null : findFolderLocation(entry.originFolderId);
+            const originFolderId = origin ? entry.originFolderId : null;
+
+            if (entry.type === 'chat') {
+                const chats = getChatContainer(originFolderId);
+                // Already saved there again since it was deleted
+                if (!chats.some((c) => c.id === entry.item.id)) chats.push(entry.item);
+            } else {
+                const siblings = origin ? origin.folder.folders : foldersData;
+                const baseName = entry.item.name;
+                let name = baseName;
+                for (let copy = 2; siblings.some((f) => f.name === name); copy++) {
+                    name = `${baseName} (${copy})`;
+                }
+                entry.item.name = name;
+                siblings.push(entry.item);
+            }
+            trash = trash.filter((e) => e.id !== entryId);
+            if (originFolderId !== null) folderExpansionState[originFolderId] = true;
+            setData(currentData());
+            commitChange(`Restored "${entry.item.name}"`);
+            renderItems();
+        }
+
+        async function deleteFromTrash(entryId) {
+            const entry = trash.find((e) => e.id === entryId);
+            if (!entry) return;
+            const confirmed = await showConfirm(`Permanently delete "${entry.item.name}"? This can't be undone from the Trash.`, {
+                confirmLabel: 'Delete',
+                destructive: true,
+            });
+            if (!confirmed) return;
+            trash = trash.filter((e) => e.id !== entryId);
+            commitChange(`Permanently deleted "${entry.item.name}"`, { showUndo: true });
+            renderItems();
+        }
+
+        async function emptyTrash() {
+            if (trash.length === 0) return;
+            const confirmed = await showConfirm(`Permanently delete all ${trash.length} items in the Trash?`, {
+                confirmLabel: 'Empty Trash',
+                destructive: true,
+            });
+            if (!confirmed) return;
+            trash = [];
+            commitChange('Emptied the Trash', { showUndo: true });
+            renderItems();
+        }
+
+        // Drops trashed items older than the retention setting.
+        function purgeTrash() {
+            const days = settings.trashRetentionDays;
+            if (!days) return;
+            const cutoff = Date.now() - days * DAY_MS;
+            const kept = trash.filter((entry) => entry.deletedAt >= cutoff);
+            if (kept.length === trash.length) return;
+            trash = kept;
+            // Automatic, so not an undo step of its own
+            commitChange(null);
+            renderItems();
+        }
+
+        let trashExpanded = false;
+
+        function createTrashButton(text, title, onClick, hoverColor = themeColors.accentColor, label = title) {
+            const button = createElement('button', {
+                properties: { textContent: text },
+                attributes: { title, 'aria-label': label },
+                styles: {
+                    marginLeft: '10px',
+                    background: 'none',
+                    border: 'none',
+                    color: themeColors.textColor,
+                    fontSize: '16px',
+                    cursor: 'pointer',
+                    transition: 'color 0.2s',
+                },
+                events: {
+                    mouseover: () => {
+                        button.style.color = hoverColor;
+                    },
+                    mouseout: () => {
+                        button.style.color = themeColors.textColor;
+                    },
+                    click: (event) => {
+                        event.stopPropagation();
+                        onClick();
+                    },
+                },
+            });
+            return button;
+        }
+
+        function renderTrash() {
+            const trashHeader = createElement('div', {
+                attributes: { title: trashExpanded ? 'hide Trash' : 'show Trash' },
+                styles: {
+                    display: 'flex',
+                    alignItems: 'center',
+                    marginTop: '10px',
+                    marginBottom: '5px',
+                    cursor: 'pointer',
+                },
+                events: {
+                    click: (event) => {
+                        event.stopPropagation();
+                        trashExpanded = !trashExpanded;
+                        renderItems();
+                    },
+                },
+            });
+            // Clicks anywhere on the header toggle it; the button is there for the keyboard
+            trashHeader.appendChild(createElement('button', {
+                properties: { textContent: `\u00A0\u00A0🗑️\u00A0\u00A0Trash (${trash.length})` },
+                attributes: { 'aria-expanded': String(trashExpanded) },
+                styles: {
+                    flexGrow: '1',
+                    padding: '0',
+                    background: 'none',
+                    border: 'none',
+                    color: 'inherit',
+                    font: 'inherit',
+                    textAlign: 'left',
+                    cursor: 'pointer',
+                },
+            }));
+            if (trashExpanded) {
+                trashHeader.appendChild(createTrashButton('Empty', 'permanently delete everything in the Trash', emptyTrash, themeColors.deleteButtonHoverColor));
+            }
+            trashContainer.appendChild(trashHeader);
+            if (!trashExpanded) return;
+
+            const days = settings.trashRetentionDays;
+            // Most recently deleted first
+            trash.slice().sort((a, b) => b.deletedAt - a.deletedAt).forEach((entry) => {
+                const trashItem = createElement('div', {
+                    styles: {
+                        display: 'flex',
+                        alignItems: 'center',
+                        marginBottom: '5px',
+                        padding: '10px',
+                        border: `1px solid ${themeColors.folderItemBorderColor}`,
+                        borderRadius: '7px',
+                        background: themeColors.folderItemBackground,
+                        color: themeColors.textColor,
+                        opacity: '0.8',
+                    },
+                });
+                const origin = entry.originPath.length > 0 ? entry.originPath.join(' / ') : (entry.type === 'chat' ? 'Bookmarks' : 'top level');
+                const purgeNote = days > 0
+                    ? `, deleted for good in ${Math.max(0, Math.ceil((entry.deletedAt + days * DAY_MS - Date.now()) / DAY_MS))} days`
+                    : '';
+                trashItem.appendChild(createElement('span', {
+                    properties: { textContent: `${entry.type === 'folder' ? '📁' : '💬'} ${entry.item.name}` },
+                    attributes: { title: `from ${origin}${purgeNote}` },
+                    styles: { flexGrow: '1', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' },
+                }));
+                trashItem.appendChild(createTrashButton(
+                    '↺',
+                    `restore to ${origin}`,
+                    () => restoreFromTrash(entry.id),
+                    themeColors.accentColor,
+                    `Restore ${entry.item.name} to ${origin}`
+                ));
+                trashItem.appendChild(createTrashButton(
+                    '×',
+                    'delete permanently',
+                    () => deleteFromTrash(entry.id),
+                    themeColors.deleteButtonHoverColor,
+                    `Delete ${entry.item.name} permanently`
+                ));
+                trashContainer.appendChild(trashItem);
+            });
+        }
+
+        /**
+         * Lets the user choose between merging and replacing, showing what a merge would change.
+         * imported is the { data, errors } result of readExport. Without allowReplace only
+         * merging is offered.
+         */
+        function showImportPreview(imported, { title = 'Import data', allowReplace = true } = {}) {
+            const plan = planImportMerge(currentData(), imported.data);
+            const incoming = countItems(imported.data);
+            const existing = countItems({ foldersData, bookmarkChats });
+            const modal = openModal(title);
+
+            modal.body.appendChild(createElement('p', {
+                properties: {
+                    textContent: `The file has ${incoming.folderCount} folders and ${incoming.chatCount} chats. ` +
+                        `Merge adds them to your ${existing.folderCount} folders and ${existing.chatCount} chats` +
+                        (allowReplace ? '; Replace discards yours and keeps only the file\'s.' : '.'),
+                },
+                styles: { margin: '0 0 10px' },
+            }));
+
+            [
+                ['Problems in the file (fixed or left out)', imported.errors],
+                ['Will be added', plan.added],
+                ['Will be updated', plan.updated],
+                ['Will be skipped', plan.skipped],
+            ].filter(([, lines], index) => index > 0 || lines.length > 0).forEach(([title, lines]) => {
+                const section = createElement('details', {
+                    properties: { open: title !== 'Will be skipped' && lines.length > 0 && lines.length <= 50 },
+                    styles: { marginBottom: '8px' },
+                });
+                section.appendChild(createElement('summary', {
+                    properties: { textContent: `${title} (${lines.length})` },
+                    styles: { cursor: 'pointer', fontWeight: 'bold' },
+                }));
+                const list = createElement('ul', {
+                    styles: { margin: '4px 0 0', paddingLeft: '20px', maxHeight: '160px', overflowY: 'auto' },
+                });
+                lines.forEach((line) => {
+                    list.appendChild(createElement('li', { properties: { textContent: line } }));
+                });
+                section.appendChild(list);
+                modal.body.appendChild(section);
+            });
+
+            modal.footer.appendChild(createModalButton('Cancel', modal.close));
+            if (allowReplace) {
+                modal.footer.appendChild(createModalButton('Replace', async () => {
+                    const confirmed = await showConfirm('Replace all of your folders, bookmarks and tags with the imported data?', {
+                        confirmLabel: 'Replace',
+                        destructive: true,
+                    });
+                    if (!confirmed) return;
+                    modal.close();
+                    setData(imported.data);
+                    commitChange('Imported data (replaced)');
+                    renderItems();
+                    showToast('Data imported.', { tone: 'success', actionLabel: 'Undo', onAction: undo });
+                }));
+            }
+            modal.footer.appendChild(createModalButton('Merge', () => {
+                modal.close();
+                setData(plan.data);
+                commitChange('Imported data (merged)');
+                renderItems();
+                showToast(
+                    `Data merged: ${plan.added.length} added, ${plan.updated.length} updated, ${plan.skipped.length} skipped.`,
+                    { tone: 'success', actionLabel: 'Undo', onAction: undo }
+                );
+            }, true));
+        }
+
+        // First folder, in tree order, with a rule matching the chat; null if none does.
+        function findRuleFolder(title, href) {
+            let match = null;
+            forEachFolder((folder) => {
+                if (!match && folder.rules.some((rule) => matchesRule(rule, title, href))) match = folder;
+            });
+            return match;
+        }
+
+        /**
+         * Conversations started in this tab, the only ones rules file. A chat counts as started
+         * here when a message is sent from a page that isn't a conversation yet (the home page, a
+         * GPT or a project) and ChatGPT then moves to the new conversation's URL; chats opened
+         * from the history are left alone.
+         */
+        const startedChatIds = new Set();
+        // When a message was last sent from a new chat; 0 once the resulting chat is recorded
+        let messageSentFromNewChatAt = 0;
+        // How long after sending ChatGPT may take to move to the new conversation's URL
+        const STARTED_CHAT_WINDOW = 30000;
+        // What the tab shows as the title until ChatGPT has named the conversation
+        const PLACEHOLDER_TITLES = ['ChatGPT', 'New chat'];
+        // The message box: a ProseMirror editor, or a textarea in older layouts
+        const COMPOSER_SELECTOR = '#prompt-textarea, textarea';
+
+        function noteMessageSent(target) {
+            if (target.closest('[data-my-folders-ui]') || getConversationId(window.location.href)) return;
+            const form = target.closest('form');
+            const composer = form && form.querySelector(COMPOSER_SELECTOR);
+            if (!composer) return;
+            const text = composer.tagName === 'TEXTAREA' ? composer.value : composer.textContent;
+            if (text.trim()) messageSentFromNewChatAt = Date.now();
+        }
+
+        document.addEventListener('keydown', (event) => {
+            if (event.key !== 'Enter' || event.shiftKey || event.isComposing || !event.target.closest) return;
+            if (event.target.closest('form')) noteMessageSent(event.target);
+        }, true);
+        document.addEventListener('click', (event) => {
+            if (!event.target.closest) return;
+            if (event.target.closest('[data-testid="send-button"], form button[type="submit"]')) noteMessageSent(event.target);
+        }, true);
+
+        // Run whenever the URL may have changed: the first conversation reached after a message
+        // was sent from a new chat is that chat.
+        function trackStartedChat() {
+            if (!messageSentFromNewChatAt || !getConversationId(window.location.href)) return;
+            if (Date.now() - messageSentFromNewChatAt <= STARTED_CHAT_WINDOW) {
+                startedChatIds.add(getChatId(window.location.href));
+            }
+            messageSentFromNewChatAt = 0;
+        }
+
+        /**
+         * Files the chat open in this tab into the folder its title or link matches, unless it is
+         * saved somewhere already or in the Trash (so removing a filed chat isn't undone).
+         */
+        function autoFileCurrentChat() {
+            trackStartedChat();
+            const chatId = getChatId(window.location.href);
+            if (!startedChatIds.has(chatId)) return;
+            const title = document.title.trim();
+            if (!title || PLACEHOLDER_TITLES.includes(title)) return;
+            let known = false;
+            forEachChat((chat) => {
+                if (chat.id === chatId) known = true;
+            });
+            const folderHasChat = (folder) => folder.chats.some((c) => c.id === chatId) || folder.folders.some(folderHasChat);
+            known = known || trash.some((entry) => (entry.type === 'chat' ? entry.item.id === chatId : folderHasChat(entry.item)));
+            if (known) return;
+
+            const folder = findRuleFolder(title, window.location.href);
+            if (!folder) return;
+            const newChat = createCurrentChatEntry();
+            folder.chats.push(newChat);
+            commitChange(`Filed "${newChat.name}" into "${folder.name}"`, { showUndo: true });
+            renderItems();
+        }
+
+        // Lists every folder's filing rules, with a form to add more.
+        function showRuleEditor() {
+            const modal = openModal('Folder rules');
+            const inputStyles = {
+                padding: '5px',
+                background: themeColors.backgroundColor,
+                color: themeColors.textColor,
+                border: `1px solid ${themeColors.borderColor}`,
+                borderRadius: '7px',
+                fontSize: '13px',
+            };
+
+            modal.body.appendChild(createElement('p', {
+                properties: {
+                    textContent: 'A new chat whose title or link matches a folder\'s rule is added to that folder ' +
+                        'automatically. When several folders match, the first one in the list wins.',
+                },
+                styles: { margin: '0 0 10px' },
+            }));
+            const ruleList = createElement('div', { styles: { marginBottom: '12px' } });
+            modal.body.appendChild(ruleList);
+
+            const folderPathLabel = (folderId) => getFolderPath(folderId).map(unescapeName).join(' / ');
+
+            function renderRules() {
+                ruleList.innerHTML = '';
+                let ruleCount = 0;
+                forEachFolder((folder) => {
+                    if (folder.rules.length === 0) return;
+                    ruleList.appendChild(createElement('div', {
+                        properties: { textContent: folderPathLabel(folder.id) },
+                        styles: { fontWeight: 'bold', marginTop: '6px' },
+                    }));
+                    folder.rules.forEach((rule) => {
+                        ruleCount++;
+                        const row = createElement('div', {
+                            styles: { display: 'flex', alignItems: 'center', gap: '8px', padding: '2px 0 2px 10px' },
+                        });
+                        row.appendChild(createElement('span', {
+                            properties: { textContent: `${RULE_TYPES[rule.type]} "${rule.value}"` },
+                            styles: { flexGrow: '1', wordBreak: 'break-all' },
+                        }));
+                        row.appendChild(createElement('button', {
+                            properties: { textContent: '×' },
+                            attributes: { title: 'delete rule', 'aria-label': 'Delete rule' },
+                            styles: { background: 'none', border: 'none', color: 'inherit', cursor: 'pointer', fontSize: '16px' },
+                            events: {
+                                click: (event) => {
+                                    event.stopPropagation();
+                                    folder.rules = folder.rules.filter((r) => r.id !== rule.id);
+                                    commitChange(`Deleted a rule of "${folder.name}"`);
+                                    renderRules();
+                                },
+                            },
+                        }));
+                        ruleList.appendChild(row);
+                    });
+                });
+                if (ruleCount === 0) {
+                    ruleList.appendChild(createElement('div', {
+                        properties: { textContent: '(no rules yet)' },
+                        styles: { fontStyle: 'italic', opacity: '0.7' },
+                    }));
+                }
+            }
+            renderRules();
+
+            const folderSelect = createElement('select', { styles: { ...inputStyles, maxWidth: '100%' } });
+            forEachFolder((folder) => {
+                folderSelect.appendChild(createElement('option', {
+                    attributes: { value: folder.id },
+                    properties: { textContent: folderPathLabel(folder.id) },
+                }));
+            });
+            if (folderSelect.options.length === 0) {
+                modal.body.appendChild(createElement('div', {
+                    properties: { textContent: 'Create a folder first to give it rules.' },
+                    styles: { fontStyle: 'italic', opacity: '0.7' },
+                }));
+                modal.footer.appendChild(createModalButton('Done', modal.close, true));
+                return;
+            }
+
+            const typeSelect = createElement('select', { styles: inputStyles });
+            Object.entries(RULE_TYPES).forEach(([type, label]) => {
+                typeSelect.appendChild(createElement('option', {
+                    attributes: { value: type },
+                    properties: { textContent: label },
+                }));
+            });
+            const valueInput = createElement('input', {
+                attributes: { type: 'text', placeholder: 'e.g. SQL, ^Draft:, /g/g-abc123' },
+                styles: { ...inputStyles, flexGrow: '1', minWidth: '0' },
+                events: {
+                    keydown: (event) => {
+                        if (event.key === 'Enter') addRule();
+                    },
+                },
+            });
+            const errorMessage = createElement('div', {
+                styles: { color: themeColors.deleteButtonHoverColor, fontSize: '13px', minHeight: '18px', marginTop: '4px' },
+            });
+
+            function addRule() {
+                const problem = checkRule(typeSelect.value, valueInput.value.trim());
+                errorMessage.textContent = problem || '';
+                if (problem) return;
+                const location = findFolderLocation(folderSelect.value);
+                if (!location) return;
+                location.folder.rules.push({ id: generateId('rule'), type: typeSelect.value, value: valueInput.value.trim() });
+                commitChange(`Added a rule to "${location.folder.name}"`);
+                valueInput.value = '';
+                renderRules();
+            }
+
+            modal.body.appendChild(createElement('div', {
+                properties: { textContent: 'Add a rule' },
+                styles: { fontWeight: 'bold', marginBottom: '6px' },
+            }));
+            const form = createElement('div', { styles: { display: 'flex', flexWrap: 'wrap', gap: '6px' } });
+            form.appendChild(folderSelect);
+            form.appendChild(typeSelect);
+            form.appendChild(valueInput);
+            form.appendChild(createModalButton('Add', addRule));
+            modal.body.appendChild(form);
+            modal.body.appendChild(errorMessage);
+            modal.footer.appendChild(createModalButton('Done', modal.close, true));
+        }
+
+        // Parent folder of the per-month folders made when importing ChatGPT history
+        const HISTORY_FOLDER_NAME = 'ChatGPT History';
+
+        /**
+         * Turns conversations from readChatGptExport into importable data. filing is 'bookmarks',
+         * 'month' (one sub-folder per creation month under "ChatGPT History"), 'rules' (the
+         * folders' own filing rules) or 'keywords' (the first of the given rules whose keyword
+         * is in the title picks the folder). Chats no rule matches go to bookmarks.
+         */
+        function buildHistoryImport(conversations, filing, rules = []) {
+            const data = emptyData();
+            const getFolder = (folders, name) => {
+                let folder = folders.find((f) => f.name === name);
+                if (!folder) {
+                    folder = createFolderEntry(name);
+                    folders.push(folder);
+                }
+                return folder;
+            };
+
+            conversations.forEach((conversation) => {
+                const chat = {
+                    id: conversation.id,
+                    name: sanitizeString(conversation.title),
+                    href: normalizeChatHref(`${window.location.origin}/c/${conversation.id}`),
+                    pinned: false,
+                    pinnedAt: null,
+                    creationIndex: conversation.createdAt,
+                    tags: [],
+                    color: null,
+                };
+                let target = data.bookmarkChats;
+                if (filing === 'month') {
+                    const created = new Date(conversation.createdAt);
+                    const month = `${created.getFullYear()}-${String(created.getMonth() + 1).padStart(2, '0')}`;
+                    target = getFolder(getFolder(data.foldersData, HISTORY_FOLDER_NAME).folders, month).chats;
+                } else if (filing === 'rules') {
+                    const folder = findRuleFolder(conversation.title, chat.href);
+                    if (folder) {
+                        // Same path of names as the existing folder, so the merge files the chat into it
+                        let copy = null;
+                        getFolderPath(folder.id).forEach((name) => {
+                            copy = getFolder(copy ? copy.folders : data.foldersData, name);
+                        });
+                        target = copy.chats;
+                    }
+                } else if (filing === 'keywords') {
+                    const title = conversation.title.toLowerCase();
+                    const rule = rules.find((r) => r.keywords.some((keyword) => title.includes(keyword)));
+                    if (rule) target = getFolder(data.foldersData, sanitizeString(rule.folderName)).chats;
+                }
+                target.push(chat);
+            });
+            return normalizeData(data, DATA_VERSION);
+        }
+
+        // Asks how to file imported ChatGPT history, then previews the merge.
+        function showHistoryImportOptions(conversations) {
+            const modal = openModal('Import ChatGPT history');
+            const formatDate = (time) => new Date(time).toLocaleDateString();
+            modal.body.appendChild(createElement('p', {
+                properties: {
+                    textContent: `Found ${conversations.length} conversations, from ` +
+                        `${formatDate(conversations[0].createdAt)} to ` +
+                        `${formatDate(conversations[conversations.length - 1].createdAt)}. File them into:`,
+                },
+                styles: { margin: '0 0 10px' },
+            }));
+
+            const rulesInput = createElement('textarea', {
+                attributes: {
+                    rows: '4',
+                    'aria-label': 'Keyword rules',
+                    placeholder: 'One rule per line, e.g.\nWork: meeting, report\nCode: python, sql',
+                },
+                styles: {
+                    display: 'none',
+                    width: '100%',
+                    boxSizing: 'border-box',
+                    margin: '4px 0 0',
+                    padding: '6px',
+                    background: themeColors.backgroundColor,
+                    color: themeColors.textColor,
+                    border: `1px solid ${themeColors.borderColor}`,
+                    borderRadius: '7px',
+                    fontSize: '13px',
+                    resize: 'vertical',
+                },
+                events: { input: () => rulesError.setError(null) },
+            });
+            const rulesError = createFieldError(rulesInput);
+
+            let filing = 'bookmarks';
+            [
+                ['bookmarks', 'Bookmarks'],
+                ['month', `Folders by creation month, under "${HISTORY_FOLDER_NAME}"`],
+                ['rules', 'Folders by their filing rules (… → Folder Rules)'],
+                ['keywords', 'Folders by title keywords (unmatched chats go to Bookmarks)'],
+            ].forEach(([value, text]) => {
+                const radio = createElement('input', {
+                    attributes: { type: 'radio', name: 'my-folders-history-filing', value },
+                    properties: { checked: value === filing },
+                    events: {
+                        change: () => {
+                            filing = value;
+                            rulesInput.style.display = filing === 'keywords' ? 'block' : 'none';
+                            rulesError.setError(null);
+                        },
+                    },
+                });
+                const label = createElement('label', {
+                    styles: { display: 'flex', alignItems: 'center', gap: '8px', padding: '3px 0', cursor: 'pointer' },
+                });
+                label.appendChild(radio);
+                label.appendChild(document.createTextNode(text));
+                modal.body.appendChild(label);
+            });
+            modal.body.appendChild(rulesInput);
+            modal.body.appendChild(rulesError.element);
+
+            modal.footer.appendChild(createModalButton('Cancel', modal.close));
+            modal.footer.appendChild(createModalButton('Continue', () => {
+                const rules = parseKeywordRules(rulesInput.value);
+                if (filing === 'keywords' && rules.length === 0) {
+                    rulesError.setError('Please enter at least one rule, like "Work: meeting, report".');
+                    rulesInput.focus();
+                    return;
+                }
+                modal.close();
+                showImportPreview(buildHistoryImport(conversations, filing, rules), {
+                    title: 'Import ChatGPT history',
+                    allowReplace: false,
+                });
+            }, true));
+        }
+
+        // Expansion of tag groups in "view by tag" mode: { [tagId]: boolean }, open by default
+        const tagExpansionState = {};
+
+        // While searching, every tag group with a match is open.
+        function isTagExpanded(tag) {
+            return searchQuery ? true : tagExpansionState[tag.id] !== false;
+        }
+
+        // "View by tag": one group per tag listing every chat carrying it, across all folders.
+        function renderTagView() {
+            bookmarkDropZone = null;
+            if (tags.length === 0) {
+                const noTagsMsg = document.createElement('div');
+                noTagsMsg.textContent = 'No tags yet. Create one from … → Manage Tags.';
+                noTagsMsg.style.fontStyle = 'italic';
+                noTagsMsg.style.opacity = '0.7';
+                noTagsMsg.style.padding = '5px 10px';
+                treeContainer.appendChild(noTagsMsg);
+                return;
+            }
+
+            // A conversation saved in several places is listed once per tag
+            const chatsByTag = new Map(tags.map((tag) => [tag.id, new Map()]));
+            forEachChat((chat, folderId) => {
+                if (searchQuery && !matchesSearch(chat.name)) return;
+                chat.tags.forEach((tagId) => {
+                    const tagChats = chatsByTag.get(tagId);
+                    if (tagChats && !tagChats.has(chat.id)) tagChats.set(chat.id, { chat, folderId });
+                });
+            });
+
+            tags.forEach((tag) => {
+                const tagChats = Array.from(chatsByTag.get(tag.id).values());
+                if (searchQuery && tagChats.length === 0) return;
+                const isExpanded = isTagExpanded(tag);
+
+                const groupItem = createElement('div', {
+                    attributes: {
+                        role: 'treeitem',
+                        'aria-label': `${tag.name}, ${tagChats.length} chats`,
+                        'aria-expanded': String(isExpanded),
+                        'data-tree-item': `tag:${tag.id}`,
+                        tabindex: '-1',
+                    },
+                    events: {
+                        keydown: (event) => {
+                            if (event.target === groupItem) handleTreeKeyDown(event, { type: 'tag', tag });
+                        },
+                    },
+                });
+                const groupHeader = createElement('div', {
+                    attributes: { title: `chats tagged ${tag.name}`, 'data-tree-row': '' },
+                    styles: {
+                        display: 'flex',
+                        alignItems: 'center',
+                        gap: '8px',
+                        padding: '8px 10px',
+                        marginBottom: '5px',
+                        border: `1px solid ${themeColors.borderColor}`,
+                        borderRadius: '7px',
+                        cursor: 'pointer',
+                        fontWeight: 'bold',
+                        fontSize: '14px',
+                    },
+                    events: {
+                        click: (event) => {
+                            event.stopPropagation();
+                            tagExpansionState[tag.id] = !isExpanded;
+                            renderItems();
+                        },
+                    },
+                });
+                const nameSpan = createElement('span', {
+                    properties: { textContent: tag.name },
+                    styles: { flexGrow: '1' },
+                });
+                const countSpan = createElement('span', {
+                    properties: { textContent: `${tagChats.length}` },
+                    styles: { opacity: '0.7', fontWeight: 'normal' },
+                });
+                groupHeader.appendChild(createTagSwatch(tag));
+                groupHeader.appendChild(nameSpan);
+                groupHeader.appendChild(countSpan);
+                groupItem.appendChild(groupHeader);
+                treeContainer.appendChild(groupItem);
+
+                if (!isExpanded) return;
+                const groupContent = createElement('div', {
+                    attributes: { role: 'group' },
+                    styles: { paddingLeft: '10px' },
+                });
+                if (tagChats.length === 0) {
+                    const emptyMsg = document.createElement('div');
+                    emptyMsg.textContent = '(empty)';
+                    emptyMsg.style.fontStyle = 'italic';
+                    emptyMsg.style.opacity = '0.7';
+                    emptyMsg.style.marginBottom = '5px';
+                    groupContent.appendChild(emptyMsg);
+                }
+                tagChats.forEach(({ chat, folderId }) => {
+                    groupContent.appendChild(createChatItem(chat, folderId));
+                });
+                groupItem.appendChild(groupContent);
+            });
+        }
+
+        function renderChatsInFolder(folderContent, folder, showAll = true) {
+            folderContent.innerHTML = '';
+            let sortedFolders = folder.folders.slice().sort(sortItems);
+            let sortedChats = folder.chats.slice().sort(sortItems);
+            if (!showAll) {
+                // Filtering: keep only matches and the folders leading to them
+                sortedFolders = sortedFolders.filter(
+                    (subFolder) => matchesSearch(subFolder.name) || folderContainsMatch(subFolder)
+                );
+                sortedChats = sortedChats.filter((chat) => matchesSearch(chat.name));
+            }
+
+            if (sortedFolders.length === 0 && sortedChats.length === 0) {
+                // show (empty) if no sub-folders or chats
+                const emptyMsg = document.createElement('div');
+                emptyMsg.textContent = '(empty)';
+                emptyMsg.style.fontStyle = 'italic';
+                emptyMsg.style.opacity = '0.7';
+                folderContent.appendChild(emptyMsg);
+            } else {
+                // sub-folders first, like the top level
+                sortedFolders.forEach((subFolder) => {
+                    folderContent.appendChild(createFolder(subFolder, showAll && Boolean(searchQuery)));
+                });
+                sortedChats.forEach((chat) => {
+                    const chatItem = createChatItem(chat, folder.id);
+                    folderContent.appendChild(chatItem);
+                });
+            }
+        }
+
+        function createChatItem(chat, folderId) {
+            const chatId = chat.id;
+            const chatName = chat.name;
+            const chatHref = chat.href;
+            const tagNames = chat.tags.map((tagId) => tags.find((t) => t.id === tagId)).filter(Boolean).map((tag) => tag.name);
+            const isActive = chatId === activeChatId;
+            // Saved copies of the open chat are counted, so duplicates are easy to spot
+            const savedCount = isActive ? activeChatPlaces.length : 0;
+            const chatLabel = [
+                chatName,
+                isActive ? 'current chat' : null,
+                savedCount > 1 ? `saved in ${savedCount} places` : null,
+                folderId === null ? 'bookmark' : null,
+                tagNames.length > 0 ? `tags: ${tagNames.join(', ')}` : null,
+                chat.pinned ? 'pinned' : null,
+            ].filter(Boolean).join(', ');
 
             const chatItem = createElement('div', {
+                attributes: {
+                    role: 'treeitem',
+                    'aria-label': chatLabel,
+                    'data-tree-item': chatSelectionKey(chatId, folderId),
+                    'data-tree-row': '',
+                    tabindex: '-1',
+                },
                 styles: {
                     display: 'flex',
                     alignItems: 'center',
                     marginBottom: '5px',
                     padding: '10px',
-                    border: `1px solid ${themeColors.folderItemBorderColor}`,
+                    border: `1px solid ${isActive ? themeColors.accentColor : themeColors.folderItemBorderColor}`,
                     borderRadius: '7px',
-                    background: themeColors.folderItemBackground,
+                    ...(chat.color ? { borderLeft: `5px solid ${chat.color}` } : {}),
+                    background: isActive ? themeColors.hoverBackgroundColor : themeColors.folderItemBackground,
                     color: themeColors.textColor,
                 },
             });
+            if (isActive) chatItem.setAttribute('aria-current', 'page');
 
             const chatLink = createElement('a', {
                 properties: {
                     href: chatHref,
                     textContent: chatName,
                 },
+                // The tree item opens the chat from the keyboard
+                attributes: { tabindex: '-1' },
                 styles: {
                     color: 'inherit',
                     textDecoration: 'none',
                     flexGrow: '1',
                     borderRadius: '7px',
+                    fontWeight: isActive ? 'bold' : 'normal',
                 },
             });
+            if (searchQuery) setHighlightedText(chatLink, chatName);
+
+            const savedCountBadge = savedCount > 1
+                ? createElement('span', {
+                    properties: { textContent: `×${savedCount}` },
+                    attributes: { title: `Saved in ${activeChatPlaces.join(', ')}`, 'aria-hidden': 'true' },
+                    styles: {
+                        marginLeft: '6px',
+                        padding: '0 6px',
+                        border: `1px solid ${themeColors.accentColor}`,
+                        borderRadius: '8px',
+                        color: themeColors.accentColor,
+                        fontSize: '11px',
+                        lineHeight: '16px',
+                        whiteSpace: 'nowrap',
+                    },
+                })
+                : null;
 
             const renameButton = createElement('button', {
                 properties: { textContent: '🖋' },
-                attributes: { title: 'rename chat' },
+                attributes: { title: 'rename chat', 'aria-label': `Rename ${chatName}`, tabindex: '-1' },
                 styles: {
                     marginLeft: '10px',
                     background: 'none',
@@ -592,7 +3213,7 @@
                 },
                 events: {
                     mouseover: () => {
-                        renameButton.style.color = '#00aaff';
+                        renameButton.style.color = themeColors.accentColor;
                         renameButton.style.fontSize = '17px';
                     },
                     mouseout: () => {
@@ -601,47 +3222,18 @@
                     },
                     click: (event) => {
                         event.stopPropagation();
-                        const newName = prompt('Enter new chat name:', chatName);
-                        if (newName) {
-                            const sanitizedNewName = sanitizeString(newName.trim());
-                            if (sanitizedNewName) {
-                                if (isBookmarkChat) {
-                                    const chatIndex = bookmarkChats.findIndex(
-                                        (c) => c.name === chatName && c.href === chatHref
-                                    );
-                                    if (chatIndex !== -1) {
-                                        bookmarkChats[chatIndex].name = sanitizedNewName;
-                                        saveData({ foldersData, bookmarkChats });
-                                        renderItems();
-                                    }
-                                } else {
-                                    const folderIndex = foldersData.findIndex(
-                                        (folder) => folder.name === currentFolderName
-                                    );
-                                    if (folderIndex !== -1) {
-                                        const chatIndex = foldersData[folderIndex].chats.findIndex(
-                                            (c) => c.name === chatName && c.href === chatHref
-                                        );
-                                        if (chatIndex !== -1) {
-                                            foldersData[folderIndex].chats[chatIndex].name = sanitizedNewName;
-                                            saveData({ foldersData, bookmarkChats });
-                                            // Keep folder expanded
-                                            folderExpansionState[currentFolderName] = true;
-                                            renderItems();
-                                        }
-                                    }
-                                }
-                            } else {
-                                alert('Invalid chat name.');
-                            }
-                        }
+                        renameChat(chatId, folderId);
                     },
                 },
             });
 
             const pinChatButton = createElement('button', {
                 properties: { textContent: chat.pinned ? '◉' : '◎' },
-                attributes: { title: chat.pinned ? 'Pinned' : 'UnPinned Chat' },
+                attributes: {
+                    title: chat.pinned ? 'Pinned' : 'UnPinned Chat',
+                    'aria-label': `${chat.pinned ? 'Unpin' : 'Pin'} ${chatName}`,
+                    tabindex: '-1',
+                },
                 styles: {
                     marginLeft: '10px',
                     background: 'none',
@@ -654,7 +3246,7 @@
                 events: {
                     mouseover: () => {
                         pinChatButton.style.fontSize = '17px';
-                        pinChatButton.style.color = '#00aaff';
+                        pinChatButton.style.color = themeColors.accentColor;
                     },
                     mouseout: () => {
                         pinChatButton.style.fontSize = '16px';
@@ -662,39 +3254,14 @@
                     },
                     click: (event) => {
                         event.stopPropagation();
-                        if (isBookmarkChat) {
-                            const chatIndex = bookmarkChats.findIndex(
-                                (c) => c.name === chatName && c.href === chatHref
-                            );
-                            if (chatIndex !== -1) {
-                                togglePin(bookmarkChats[chatIndex]);
-                                saveData({ foldersData, bookmarkChats });
-                                renderItems();
-                            }
-                        } else {
-                            const folderIndex = foldersData.findIndex(
-                                (folder) => folder.name === currentFolderName
-                            );
-                            if (folderIndex !== -1) {
-                                const chatIndex = foldersData[folderIndex].chats.findIndex(
-                                    (c) => c.name === chatName && c.href === chatHref
-                                );
-                                if (chatIndex !== -1) {
-                                    togglePin(foldersData[folderIndex].chats[chatIndex]);
-                                    saveData({ foldersData, bookmarkChats });
-                                    // Keep folder expanded
-                                    folderExpansionState[currentFolderName] = true;
-                                    renderItems();
-                                }
-                            }
-                        }
+                        toggleChatPin(chatId, folderId);
                     },
                 },
             });
 
             const deleteChatButton = createElement('button', {
                 properties: { textContent: '×' },
-                attributes: { title: 'delete chat' },
+                attributes: { title: 'delete chat', 'aria-label': `Move ${chatName} to the Trash`, tabindex: '-1' },
                 styles: {
                     marginLeft: '10px',
                     background: 'none',
@@ -716,31 +3283,72 @@
                     },
                     click: (event) => {
                         event.stopPropagation();
-                        if (isBookmarkChat) {
-                            bookmarkChats = bookmarkChats.filter(
-                                (c) => c.name !== chatName || c.href !== chatHref
-                            );
-                            saveData({ foldersData, bookmarkChats });
-                            renderItems();
-                        } else {
-                            const folderIndex = foldersData.findIndex(
-                                (folder) => folder.name === currentFolderName
-                            );
-                            if (folderIndex !== -1) {
-                                foldersData[folderIndex].chats = foldersData[folderIndex].chats.filter(
-                                    (c) => c.name !== chatName || c.href !== chatHref
-                                );
-                                saveData({ foldersData, bookmarkChats });
-                                // Keep folder expanded
-                                folderExpansionState[currentFolderName] = true;
-                                renderItems();
-                            }
-                        }
+                        deleteChat(chatId, folderId);
                     },
                 },
             });
 
+            chatItem.addEventListener('keydown', (event) => {
+                if (event.target !== chatItem) return;
+                handleTreeKeyDown(event, { type: 'chat', chatId, folderId, name: chatName, href: chatHref });
+            });
+
+            chatItem.addEventListener('contextmenu', (event) => {
+                openContextMenu(event, chatItem, (container) => populateChatMenu(container, chatId, folderId));
+            });
+
+            chatLink.setAttribute('draggable', 'false');
+            makeDraggable(chatItem, () => ({ type: 'chat', chatId, name: chatName, href: chatHref, folderId }));
+            makeDropTarget(
+                chatItem,
+                (event) => (dragState.type === 'chat' ? getDropPosition(event, chatItem, false) : null),
+                (position, state) => moveChat(state, folderId, chat, position)
+            );
+
+            const tagButton = createElement('button', {
+                properties: { textContent: '🏷' },
+                attributes: { title: 'tag chat', 'aria-label': `Tags of ${chatName}`, tabindex: '-1' },
+                styles: {
+                    marginLeft: '10px',
+                    background: 'none',
+                    border: 'none',
+                    color: themeColors.textColor,
+                    fontSize: '14px',
+                    cursor: 'pointer',
+                    transition: 'color 0.2s, font-size 0.2s',
+                },
+                events: {
+                    mouseover: () => {
+                        tagButton.style.fontSize = '15px';
+                    },
+                    mouseout: () => {
+                        tagButton.style.fontSize = '14px';
+                    },
+                    click: (event) => {
+                        event.stopPropagation();
+                        openPopover(tagButton, (container) => populateTagPicker(container, chatId));
+                    },
+                },
+            });
+
+            if (selectionMode) {
+                const selectionItem = { type: 'chat', chatId, name: chatName, folderId };
+                const selectionKey = chatSelectionKey(chatId, folderId);
+                chatItem.appendChild(createSelectionCheckbox(selectionKey, selectionItem, chatName));
+                chatItem.style.cursor = 'pointer';
+                // In multi-select mode a click anywhere on the row selects it instead of opening the chat
+                chatItem.addEventListener('click', (event) => {
+                    if (event.target.type === 'checkbox') return;
+                    event.preventDefault();
+                    event.stopPropagation();
+                    toggleSelection(selectionKey, selectionItem, event.shiftKey);
+                }, true);
+            }
+
             chatItem.appendChild(chatLink);
+            if (savedCountBadge) chatItem.appendChild(savedCountBadge);
+            chatItem.appendChild(createTagChips(chat));
+            chatItem.appendChild(tagButton);
             chatItem.appendChild(renameButton);
             chatItem.appendChild(pinChatButton);
             chatItem.appendChild(deleteChatButton);
@@ -748,24 +3356,351 @@
             return chatItem;
         }
 
-        function createFolder(folderName, folderChats = [], pinned = false) {
-            let currentFolderName = folderName;
+        function createPopoverSection(text) {
+            return createElement('div', {
+                properties: { textContent: text },
+                styles: { padding: '5px 10px 2px', fontSize: '12px', opacity: '0.7' },
+            });
+        }
+
+        function createChoiceButton(content, title, selected, onChoose, styles = {}) {
+            return createElement('button', {
+                properties: { textContent: content },
+                attributes: { title, 'aria-label': title, 'aria-pressed': String(selected) },
+                styles: {
+                    width: '26px',
+                    height: '26px',
+                    padding: '0',
+                    background: 'transparent',
+                    color: 'inherit',
+                    border: `2px solid ${selected ? themeColors.accentColor : 'transparent'}`,
+                    borderRadius: '50%',
+                    cursor: 'pointer',
+                    fontSize: '15px',
+                    ...styles,
+                },
+                events: {
+                    click: (event) => {
+                        event.stopPropagation();
+                        onChoose();
+                    },
+                },
+            });
+        }
+
+        // Color and icon choices for a folder, shown in its context menu.
+        function populateFolderAppearance(container, folderId) {
+            const location = findFolderLocation(folderId);
+            if (!location) return;
+            const { folder } = location;
+            const update = (changes, label) => {
+                Object.assign(folder, changes);
+                commitChange(label);
+                renderItems();
+                refreshPopover();
+            };
+            const choiceGrid = () => createElement('div', {
+                styles: { display: 'flex', flexWrap: 'wrap', gap: '4px', padding: '3px 10px', maxWidth: '200px' },
+            });
+
+            container.appendChild(createPopoverSection('Color'));
+            const colorGrid = choiceGrid();
+            colorGrid.appendChild(createChoiceButton('⊘', 'no color', !folder.color, () => {
+                update({ color: null }, `Removed the color of "${folder.name}"`);
+            }));
+            FOLDER_COLORS.forEach((color) => {
+                colorGrid.appendChild(createChoiceButton('', color, folder.color === color, () => {
+                    update({ color }, `Colored folder "${folder.name}"`);
+                }, { background: color }));
+            });
+            container.appendChild(colorGrid);
+
+            container.appendChild(createPopoverSection('Icon'));
+            const iconGrid = choiceGrid();
+            FOLDER_ICONS.forEach((icon) => {
+                // The plain folder icon stands for the default, which opens and closes
+                const isDefault = icon === '📁';
+                iconGrid.appendChild(createChoiceButton(icon, isDefault ? 'default' : icon, isDefault ? !folder.icon : folder.icon === icon, () => {
+                    update({ icon: isDefault ? null : icon }, `Changed the icon of "${folder.name}"`);
+                }));
+            });
+            iconGrid.appendChild(createChoiceButton('…', 'other emoji', Boolean(folder.icon) && !FOLDER_ICONS.includes(folder.icon), async () => {
+                const input = await showPrompt('Enter an emoji for the folder:', folder.icon || '', {
+                    validate: (value) => (isSingleEmoji(value.trim()) ? null : 'Please enter a single emoji.'),
+                });
+                if (input === null) return;
+                const icon = input.trim();
+                update({ icon }, `Changed the icon of "${folder.name}"`);
+            }));
+            container.appendChild(iconGrid);
+        }
+
+        // Color choices for a chat, shown above its tags in its context menu.
+        function populateChatColor(container, chatId) {
+            const current = getChatColor(chatId);
+            const choose = (color) => {
+                setChatColor(chatId, color);
+                refreshPopover();
+            };
+            container.appendChild(createPopoverSection('Color'));
+            const colorGrid = createElement('div', {
+                styles: { display: 'flex', flexWrap: 'wrap', gap: '4px', padding: '3px 10px', maxWidth: '200px' },
+            });
+            colorGrid.appendChild(createChoiceButton('⊘', 'no color', !current, () => choose(null)));
+            FOLDER_COLORS.forEach((color) => {
+                colorGrid.appendChild(createChoiceButton('', color, current === color, () => choose(color), { background: color }));
+            });
+            container.appendChild(colorGrid);
+            container.appendChild(createPopoverSection('Tags'));
+        }
+
+        // Chat and folder actions, shared by the row buttons and the context menus.
+        async function renameChat(chatId, folderId) {
+            const chat = findChatEntry({ chatId, folderId });
+            if (!chat) return;
+            const newName = await showPrompt('Enter new chat name:', chat.name, {
+                validate: (value) => (sanitizeString(value.trim()) ? null : 'Please enter a chat name.'),
+            });
+            if (newName === null) return;
+            const sanitizedNewName = sanitizeString(newName.trim());
+            chat.name = sanitizedNewName;
+            commitChange(`Renamed chat "${sanitizedNewName}"`);
+            // Keep folder expanded
+            if (folderId !== null) folderExpansionState[folderId] = true;
+            renderItems();
+        }
+
+        function toggleChatPin(chatId, folderId) {
+            const chat = findChatEntry({ chatId, folderId });
+            if (!chat) return;
+            togglePin(chat);
+            commitChange(`${chat.pinned ? 'Pinned' : 'Unpinned'} "${chat.name}"`);
+            // Keep folder expanded
+            if (folderId !== null) folderExpansionState[folderId] = true;
+            renderItems();
+        }
+
+        function deleteChat(chatId, folderId) {
+            const chat = trashChat(chatId, folderId);
+            if (!chat) return;
+            commitChange(`Moved "${chat.name}" to the Trash`, { showUndo: true });
+            // Keep folder expanded
+            if (folderId !== null) folderExpansionState[folderId] = true;
+            renderItems();
+        }
+
+        function copyChatLink(chat) {
+            navigator.clipboard.writeText(new URL(chat.href, window.location.origin).href).then(
+                () => showToast(`Copied the link to "${chat.name}"`, { duration: 3000 }),
+                () => showToast('Could not copy the link.', { tone: 'error' })
+            );
+        }
+
+        async function renameFolder(folderId) {
+            const location = findFolderLocation(folderId);
+            if (!location) return;
+            const siblings = location.siblings.filter((f) => f.id !== folderId);
+            const newName = await promptFolderName(siblings, 'Enter new folder name:', location.folder.name);
+            if (newName) {
+                location.folder.name = newName;
+                commitChange(`Renamed folder "${newName}"`);
+                renderItems();
+            }
+        }
+
+        async function addSubFolder(folderId) {
+            const location = findFolderLocation(folderId);
+            if (!location) return;
+            const subFolderName = await promptFolderName(location.folder.folders, 'Enter sub-folder name:');
+            if (subFolderName) {
+                const subFolder = createFolderEntry(subFolderName);
+                location.folder.folders.push(subFolder);
+                commitChange(`Created folder "${subFolderName}"`);
+                // Keep the parent expanded so the new sub-folder is visible
+                folderExpansionState[folderId] = true;
+                folderExpansionState[subFolder.id] = true;
+                renderItems();
+            }
+        }
+
+        function addCurrentChat(folderId) {
+            addChatToFolder(folderId, createCurrentChatEntry());
+        }
+
+        function addChatToFolder(folderId, newChat) {
+            const location = findFolderLocation(folderId);
+            if (!location) return;
+            const { folder } = location;
+            if (folder.chats.some((c) => c.id === newChat.id)) {
+                showToast(`"${newChat.name}" is already in "${folder.name}".`);
+                return;
+            }
+            folder.chats.push(newChat);
+            commitChange(`Added "${newChat.name}" to "${folder.name}"`);
+            // Keep folder expanded
+            folderExpansionState[folderId] = true;
+            renderItems();
+        }
+
+        function toggleFolderPin(folderId) {
+            const location = findFolderLocation(folderId);
+            if (!location) return;
+            // Pinning doesn't expand the folder
+            togglePin(location.folder);
+            commitChange(`${location.folder.pinned ? 'Pinned' : 'Unpinned'} folder "${location.folder.name}"`);
+            renderItems();
+        }
+
+        async function deleteFolder(folderId) {
+            const location = findFolderLocation(folderId);
+            if (!location) return;
+            const folderName = location.folder.name;
+            const message = location.folder.folders.length > 0
+                ? `Move the folder "${folderName}" and all of its sub-folders to the Trash?`
+                : `Move the folder "${folderName}" to the Trash?`;
+            const confirmed = await showConfirm(message, { confirmLabel: 'Move to Trash', destructive: true });
+            if (confirmed && trashFolder(folderId)) {
+                commitChange(`Moved folder "${folderName}" to the Trash`, { showUndo: true });
+                renderItems();
+            }
+        }
+
+        /**
+         * Opens a context menu for `row`. A right-click opens it at the pointer; from the
+         * keyboard (the context-menu key or Shift+F10) it opens below the row and takes focus,
+         * which goes back to the row when the menu closes.
+         */
+        function openContextMenu(event, row, populate) {
+            event.preventDefault();
+            event.stopPropagation();
+            const fromKeyboard = event.button !== 2;
+            const rect = row.getBoundingClientRect();
+            popover.setAttribute('role', 'menu');
+            if (fromKeyboard) {
+                openPopoverAt(rect.left, rect.bottom, populate);
+                popoverReturnFocus = document.activeElement;
+                focusPopover();
+            } else {
+                openPopoverAt(event.clientX, event.clientY, populate);
+            }
+        }
+
+        // Entries that open a sub-menu keep the popover open; everything else closes it first.
+        function createContextMenuItem(icon, text, onChoose, { submenu = false, danger = false } = {}) {
+            const iconSpan = createElement('span', {
+                properties: { textContent: icon },
+                attributes: { 'aria-hidden': 'true' },
+                styles: { width: '18px', textAlign: 'center' },
+            });
+            const label = createElement('span', {
+                properties: { textContent: submenu ? `${text}…` : text },
+                styles: { flexGrow: '1', color: danger ? themeColors.deleteButtonHoverColor : 'inherit' },
+            });
+            const item = createPopoverRow([iconSpan, label], () => {
+                if (!submenu) closePopover();
+                onChoose();
+            });
+            item.setAttribute('role', 'menuitem');
+            if (submenu) item.setAttribute('aria-haspopup', 'true');
+            return item;
+        }
+
+        function populateChatMenu(container, chatId, folderId) {
+            const chat = findChatEntry({ chatId, folderId });
+            if (!chat) return;
+            container.appendChild(createContextMenuItem('↗', 'Open in new tab', () => {
+                window.open(chat.href, '_blank', 'noopener');
+            }));
+            container.appendChild(createContextMenuItem('🔗', 'Copy link', () => copyChatLink(chat)));
+            container.appendChild(createContextMenuItem('🖋', 'Rename', () => renameChat(chatId, folderId)));
+            container.appendChild(createContextMenuItem('📁', 'Move to folder', () => {
+                showInPopover((menu) => populateMoveTargets(menu, (targetFolderId) => {
+                    closePopover();
+                    if (targetFolderId === folderId) return;
+                    moveChat({ type: 'chat', chatId, name: chat.name, href: chat.href, folderId }, targetFolderId);
+                }, `Move "${chat.name}" to`));
+            }, { submenu: true }));
+            container.appendChild(createContextMenuItem(chat.pinned ? '◎' : '◉', chat.pinned ? 'Unpin' : 'Pin', () => {
+                toggleChatPin(chatId, folderId);
+            }));
+            container.appendChild(createContextMenuItem('🏷', 'Tags & color', () => {
+                showInPopover((menu) => {
+                    populateChatColor(menu, chatId);
+                    populateTagPicker(menu, chatId);
+                });
+            }, { submenu: true }));
+            container.appendChild(createContextMenuItem('×', 'Move to Trash', () => deleteChat(chatId, folderId), { danger: true }));
+        }
+
+        function populateFolderMenu(container, folderId) {
+            const location = findFolderLocation(folderId);
+            if (!location) return;
+            const { folder } = location;
+            container.appendChild(createContextMenuItem('🖋', 'Rename', () => renameFolder(folderId)));
+            container.appendChild(createContextMenuItem('+', 'Add current chat', () => addCurrentChat(folderId)));
+            container.appendChild(createContextMenuItem('#', 'New sub-folder', () => addSubFolder(folderId)));
+            container.appendChild(createContextMenuItem('📁', 'Move to folder', () => {
+                showInPopover((menu) => populateMoveTargets(menu, (targetFolderId) => {
+                    closePopover();
+                    moveFolder(folderId, targetFolderId);
+                }, `Move "${folder.name}" to`));
+            }, { submenu: true }));
+            container.appendChild(createContextMenuItem(folder.pinned ? '◎' : '◉', folder.pinned ? 'Unpin' : 'Pin', () => {
+                toggleFolderPin(folderId);
+            }));
+            container.appendChild(createContextMenuItem('🎨', 'Color & icon', () => {
+                showInPopover((menu) => populateFolderAppearance(menu, folderId));
+            }, { submenu: true }));
+            container.appendChild(createContextMenuItem('⤓', 'Export', () => {
+                showInPopover((menu) => populateExportFormats(menu, folder));
+            }, { submenu: true }));
+            container.appendChild(createContextMenuItem('×', 'Move to Trash', () => deleteFolder(folderId), { danger: true }));
+        }
+
+        // ancestorMatched: a parent folder's name matches the search, so everything inside it is shown.
+        function createFolder(folder, ancestorMatched = false) {
+            const folderId = folder.id;
+            const folderName = folder.name;
+            const pinned = folder.pinned;
+            // Colored folders get a stripe and a tint mixed into the theme's own background
+            const folderBackground = folder.color
+                ? `color-mix(in srgb, ${folder.color} 18%, ${themeColors.backgroundColor})`
+                : themeColors.backgroundColor;
 
+            // The tree item holds the folder's header and, as a group, everything inside it
             const folderContainer = createElement('div', {
+                attributes: {
+                    role: 'treeitem',
+                    'aria-label': pinned ? `${folderName}, pinned` : folderName,
+                    'data-tree-item': folderSelectionKey(folderId),
+                    tabindex: '-1',
+                },
                 styles: { marginBottom: '5px', borderRadius: '7px' },
             });
 
             const headerContainer = createElement('div', {
+                attributes: { 'data-tree-row': '' },
                 styles: {
                     display: 'flex',
                     alignItems: 'center',
-                    border: `1px solid ${themeColors.borderColor}`,
+                    border: `1px solid ${folder.color || themeColors.borderColor}`,
                     borderRadius: '7px',
                 },
             });
 
+            folderContainer.addEventListener('keydown', (event) => {
+                if (event.target !== folderContainer) return;
+                handleTreeKeyDown(event, { type: 'folder', folderId, folder });
+            });
+            // From the keyboard the menu is asked for on the focused tree item itself
+            folderContainer.addEventListener('contextmenu', (event) => {
+                if (event.target !== folderContainer && !headerContainer.contains(event.target)) return;
+                openContextMenu(event, headerContainer, (container) => populateFolderMenu(container, folderId));
+            });
+
             const folderIconSpan = createElement('span', {
                 properties: { textContent: '📁' },
+                attributes: { 'aria-hidden': 'true' },
                 styles: {
                     marginRight: '10px',
                     fontSize: '16px',
@@ -774,82 +3709,116 @@
 
             const folderNameSpan = createElement('span', {
                 properties: { textContent: folderName },
-                attributes: { title: 'click twice to rename' },
+                attributes: { title: 'double-click to rename, right-click for more' },
+                styles: {
+                    flexGrow: '1',
+                },
+            });
+
+            const folderButton = createElement('button', {
+                attributes: { title: 'My Folder', tabindex: '-1' },
                 styles: {
+                    display: 'flex',
+                    alignItems: 'center',
                     flexGrow: '1',
+                    padding: '10px',
+                    background: folderBackground,
+                    color: themeColors.textColor,
+                    border: 'none',
+                    borderLeft: folder.color ? `5px solid ${folder.color}` : 'none',
+                    borderRadius: '7px 0 0 7px',
+                    cursor: 'pointer',
+                    textAlign: 'left',
+                    fontWeight: 'bold',
+                    fontSize: '14px',
+                    transition: 'background 0.2s, color 0.2s',
+                },
+                events: {
+                    mouseover: () => {
+                        folderButton.style.background = themeColors.hoverBackgroundColor;
+                        folderButton.style.color = themeColors.hoverTextColor;
+                    },
+                    mouseout: () => {
+                        folderButton.style.background = folderBackground;
+                        folderButton.style.color = themeColors.textColor;
+                    },
+                    click: (event) => {
+                        // toggle folder expansion
+                        event.stopPropagation();
+                        setFolderExpanded(folder, !isFolderExpanded(folder));
+                        renderItems();
+                    },
+                    dblclick: (event) => {
+                        event.stopPropagation();
+                        renameFolder(folderId);
+                    },
+                },
+            });
+
+            folderButton.appendChild(folderIconSpan);
+            folderButton.appendChild(folderNameSpan);
+
+            const addSubFolderButton = createElement('button', {
+                properties: { textContent: '#' },
+                attributes: { title: 'create sub-folder', 'aria-label': `Create sub-folder in ${folderName}`, tabindex: '-1' },
+                styles: {
+                    padding: '10px',
+                    background: themeColors.backgroundColor,
+                    color: themeColors.textColor,
+                    border: 'none',
+                    cursor: 'pointer',
+                    fontSize: '16px',
+                    fontWeight: 'bold',
+                    transition: 'color 0.2s, font-size 0.2s',
+                },
+                events: {
+                    mouseover: () => {
+                        addSubFolderButton.style.color = themeColors.accentColor;
+                        addSubFolderButton.style.fontSize = '17px';
+                    },
+                    mouseout: () => {
+                        addSubFolderButton.style.color = themeColors.textColor;
+                        addSubFolderButton.style.fontSize = '16px';
+                    },
+                    click: (event) => {
+                        event.stopPropagation();
+                        addSubFolder(folderId);
+                    },
                 },
             });
 
-            const folderButton = createElement('button', {
-                attributes: { title: 'My Folder' },
+            const addChatButton = createElement('button', {
+                properties: { textContent: '+' },
+                attributes: { title: 'add curr chat', 'aria-label': `Add current chat to ${folderName}`, tabindex: '-1' },
                 styles: {
-                    display: 'flex',
-                    alignItems: 'center',
-                    flexGrow: '1',
                     padding: '10px',
                     background: themeColors.backgroundColor,
                     color: themeColors.textColor,
                     border: 'none',
-                    borderRadius: '7px 0 0 7px',
                     cursor: 'pointer',
-                    textAlign: 'left',
+                    fontSize: '16px',
                     fontWeight: 'bold',
-                    fontSize: '14px',
-                    transition: 'background 0.2s, color 0.2s',
+                    transition: 'color 0.2s, font-size 0.2s',
                 },
                 events: {
                     mouseover: () => {
-                        folderButton.style.background = themeColors.hoverBackgroundColor;
-                        folderButton.style.color = themeColors.hoverTextColor;
+                        addChatButton.style.color = themeColors.accentColor;
+                        addChatButton.style.fontSize = '17px';
                     },
                     mouseout: () => {
-                        folderButton.style.background = themeColors.backgroundColor;
-                        folderButton.style.color = themeColors.textColor;
+                        addChatButton.style.color = themeColors.textColor;
+                        addChatButton.style.fontSize = '16px';
                     },
                     click: (event) => {
-                        // toggle folder expansion
-                        event.stopPropagation();
-                        folderExpansionState[currentFolderName] = !folderExpansionState[currentFolderName];
-                        renderItems();
-                    },
-                    dblclick: (event) => {
                         event.stopPropagation();
-                        const newName = prompt('Enter new folder name:', currentFolderName);
-                        if (newName) {
-                            const sanitizedNewName = sanitizeString(newName.trim());
-                            if (sanitizedNewName) {
-                                if (foldersData.some((folder) => folder.name === sanitizedNewName)) {
-                                    alert(`A folder named "${sanitizedNewName}" already exists.`);
-                                    return;
-                                }
-
-                                const folderIndex = foldersData.findIndex(
-                                    (folder) => folder.name === currentFolderName
-                                );
-                                if (folderIndex !== -1) {
-                                    foldersData[folderIndex].name = sanitizedNewName;
-                                    saveData({ foldersData, bookmarkChats });
-
-                                    const wasExpanded = folderExpansionState[currentFolderName] || false;
-                                    delete folderExpansionState[currentFolderName];
-                                    currentFolderName = sanitizedNewName;
-                                    folderExpansionState[currentFolderName] = wasExpanded;
-                                    renderItems();
-                                }
-                            } else {
-                                alert('Invalid folder name.');
-                            }
-                        }
+                        addCurrentChat(folderId);
                     },
                 },
             });
 
-            folderButton.appendChild(folderIconSpan);
-            folderButton.appendChild(folderNameSpan);
-
-            const addChatButton = createElement('button', {
-                properties: { textContent: '+' },
-                attributes: { title: 'add curr chat' },
+            const exportFolderButton = createElement('button', {
+                properties: { textContent: '⤓' },
+                attributes: { title: 'export folder', 'aria-label': `Export ${folderName}`, tabindex: '-1' },
                 styles: {
                     padding: '10px',
                     background: themeColors.backgroundColor,
@@ -862,48 +3831,29 @@
                 },
                 events: {
                     mouseover: () => {
-                        addChatButton.style.color = '#00aaff';
-                        addChatButton.style.fontSize = '17px';
+                        exportFolderButton.style.color = themeColors.accentColor;
+                        exportFolderButton.style.fontSize = '17px';
                     },
                     mouseout: () => {
-                        addChatButton.style.color = themeColors.textColor;
-                        addChatButton.style.fontSize = '16px';
+                        exportFolderButton.style.color = themeColors.textColor;
+                        exportFolderButton.style.fontSize = '16px';
                     },
                     click: (event) => {
                         event.stopPropagation();
-                        const chatName = document.title || 'Unnamed Chat';
-                        const chatHref = window.location.href;
-                        const sanitizedChatName = sanitizeString(chatName.trim());
-
-                        const folderIndex = foldersData.findIndex(
-                            (folder) => folder.name === currentFolderName
-                        );
-                        if (folderIndex !== -1) {
-                            const folder = foldersData[folderIndex];
-                            if (folder.chats.some((c) => c.name === sanitizedChatName && c.href === chatHref)) {
-                                alert(`Chat "${sanitizedChatName}" is already in the folder.`);
-                                return;
-                            }
-
-                            folder.chats.push({
-                                name: sanitizedChatName,
-                                href: chatHref,
-                                pinned: false,
-                                pinnedAt: null,
-                                creationIndex: Date.now(),
-                            });
-                            saveData({ foldersData, bookmarkChats });
-                            // Keep folder expanded
-                            folderExpansionState[currentFolderName] = true;
-                            renderItems();
-                        }
+                        const location = findFolderLocation(folderId);
+                        if (!location) return;
+                        openPopover(exportFolderButton, (container) => populateExportFormats(container, location.folder));
                     },
                 },
             });
 
             const pinFolderButton = createElement('button', {
                 properties: { textContent: pinned ? '◉' : '◎' },
-                attributes: { title: pinned ? 'Pinned' : 'UnPinned Folder' },
+                attributes: {
+                    title: pinned ? 'Pinned' : 'UnPinned Folder',
+                    'aria-label': `${pinned ? 'Unpin' : 'Pin'} ${folderName}`,
+                    tabindex: '-1',
+                },
                 styles: {
                     padding: '10px',
                     background: themeColors.backgroundColor,
@@ -917,7 +3867,7 @@
                 events: {
                     mouseover: () => {
                         pinFolderButton.style.fontSize = '17px';
-                        pinFolderButton.style.color = '#00aaff';
+                        pinFolderButton.style.color = themeColors.accentColor;
                     },
                     mouseout: () => {
                         pinFolderButton.style.fontSize = '16px';
@@ -925,31 +3875,14 @@
                     },
                     click: (event) => {
                         event.stopPropagation();
-                        const folderIndex = foldersData.findIndex(
-                            (f) => f.name === currentFolderName
-                        );
-                        if (folderIndex !== -1) {
-                            const folder = foldersData[folderIndex];
-                            // NOTE: Folder should NOT expand on pin toggle:
-                            // we do NOT set folderExpansionState here.
-                            if (!folder.pinned) {
-                                folder.pinned = true;
-                                folder.pinnedAt = Date.now();
-                            } else {
-                                folder.pinned = false;
-                                folder.pinnedAt = null;
-                            }
-                            saveData({ foldersData, bookmarkChats });
-                            // Re-render without forcing expansion
-                            renderItems();
-                        }
+                        toggleFolderPin(folderId);
                     },
                 },
             });
 
             const deleteButton = createElement('button', {
                 properties: { textContent: '×' },
-                attributes: { title: 'delete folder' },
+                attributes: { title: 'delete folder', 'aria-label': `Move ${folderName} to the Trash`, tabindex: '-1' },
                 styles: {
                     padding: '10px',
                     background: themeColors.backgroundColor,
@@ -972,24 +3905,13 @@
                     },
                     click: (event) => {
                         event.stopPropagation();
-                        if (
-                            confirm(`Are you sure you want to delete the folder "${currentFolderName}"?`)
-                        ) {
-                            const folderIndex = foldersData.findIndex(
-                                (folder) => folder.name === currentFolderName
-                            );
-                            if (folderIndex !== -1) {
-                                delete folderExpansionState[currentFolderName];
-                                foldersData.splice(folderIndex, 1);
-                                saveData({ foldersData, bookmarkChats });
-                                renderItems();
-                            }
-                        }
+                        deleteFolder(folderId);
                     },
                 },
             });
 
             const folderContent = createElement('div', {
+                attributes: { role: 'group' },
                 styles: {
                     padding: '10px',
                     background: themeColors.folderContentBackground,
@@ -998,82 +3920,947 @@
                 },
             });
 
-            renderChatsInFolder(folderContent, folderChats, currentFolderName);
+            if (searchQuery) setHighlightedText(folderNameSpan, folderName);
+            renderChatsInFolder(folderContent, folder, !searchQuery || ancestorMatched || matchesSearch(folderName));
 
-            const isExpanded = folderExpansionState[currentFolderName] || false;
+            const isExpanded = isFolderExpanded(folder);
             folderContent.style.display = isExpanded ? 'block' : 'none';
-            folderIconSpan.textContent = isExpanded ? '📂' : '📁';
+            folderContainer.setAttribute('aria-expanded', String(isExpanded));
+            folderIconSpan.textContent = folder.icon || (isExpanded ? '📂' : '📁');
 
             const buttonContainer = createElement('div', {
                 styles: { display: 'flex', borderRadius: '7px' },
             });
 
+            buttonContainer.appendChild(addSubFolderButton);
             buttonContainer.appendChild(addChatButton);
+            buttonContainer.appendChild(exportFolderButton);
             buttonContainer.appendChild(pinFolderButton);
             buttonContainer.appendChild(deleteButton);
 
+            makeDraggable(headerContainer, () => ({ type: 'folder', folderId }));
+            makeDropTarget(
+                headerContainer,
+                (event) => (dragState.type === 'chat' ? 'inside' : getDropPosition(event, headerContainer, true)),
+                (position, state) => {
+                    if (state.type === 'chat') {
+                        moveChat(state, folderId);
+                    } else {
+                        moveFolder(state.folderId, folderId, position);
+                    }
+                }
+            );
+            // Dropping on the open folder's body files the item inside it
+            makeDropTarget(
+                folderContent,
+                () => 'inside',
+                (position, state) => {
+                    if (state.type === 'chat') {
+                        moveChat(state, folderId);
+                    } else {
+                        moveFolder(state.folderId, folderId, 'inside');
+                    }
+                }
+            );
+
+            if (selectionMode) {
+                const checkbox = createSelectionCheckbox(folderSelectionKey(folderId), { type: 'folder', folderId }, folderName);
+                checkbox.style.marginLeft = '8px';
+                headerContainer.appendChild(checkbox);
+            }
             headerContainer.appendChild(folderButton);
             headerContainer.appendChild(buttonContainer);
 
             folderContainer.appendChild(headerContainer);
             folderContainer.appendChild(folderContent);
 
-            itemsContainer.appendChild(folderContainer);
+            return folderContainer;
+        }
+
+        // Rows of the tree that can be reached with the arrow keys, in on-screen order.
+        function getVisibleTreeItems() {
+            return Array.from(treeContainer.querySelectorAll('[data-tree-item]'))
+                .filter((element) => element.offsetParent !== null);
+        }
+
+        function focusTreeItem(key) {
+            const element = getVisibleTreeItems().find((item) => item.dataset.treeItem === key);
+            if (element) element.focus();
+            return Boolean(element);
+        }
+
+        // Remembers the focused row across a re-render, which replaces every row.
+        function getFocusedTreeItem() {
+            const element = document.activeElement;
+            if (!element || !element.dataset || !element.dataset.treeItem || !treeContainer.contains(element)) return null;
+            return { key: element.dataset.treeItem, index: getVisibleTreeItems().indexOf(element) };
+        }
+
+        // Falls back to the row now in the same place, e.g. after the focused one was deleted.
+        function restoreTreeFocus(focusedItem) {
+            if (!focusedItem || focusTreeItem(focusedItem.key)) return;
+            const items = getVisibleTreeItems();
+            if (items.length > 0) items[Math.min(focusedItem.index, items.length - 1)].focus();
+        }
+
+        // The tree is a single tab stop: Tab lands on the row last focused (or the first one) and
+        // the arrow keys do the rest.
+        let treeTabStopKey = null;
+
+        function setTreeTabStop(element) {
+            treeContainer.querySelectorAll('[data-tree-item][tabindex="0"]').forEach((item) => {
+                item.tabIndex = -1;
+            });
+            element.tabIndex = 0;
+            treeTabStopKey = element.dataset.treeItem;
+        }
+
+        function updateTreeTabStop() {
+            const items = getVisibleTreeItems();
+            const tabStop = items.find((item) => item.dataset.treeItem === treeTabStopKey) ||
+                items[0] ||
+                treeContainer.querySelector('[data-tree-item]');
+            if (tabStop) setTreeTabStop(tabStop);
+        }
+
+        treeContainer.addEventListener('focusin', (event) => {
+            if (event.target.dataset && event.target.dataset.treeItem) setTreeTabStop(event.target);
+        });
+
+        function isTreeItemExpanded(item) {
+            if (item.type === 'folder') return isFolderExpanded(item.folder);
+            if (item.type === 'tag') return isTagExpanded(item.tag);
+            return false;
+        }
+
+        function setTreeItemExpanded(item, expanded) {
+            if (item.type === 'folder') {
+                setFolderExpanded(item.folder, expanded);
+            } else if (!searchQuery) {
+                tagExpansionState[item.tag.id] = expanded;
+            }
+            renderItems();
+        }
+
+        /**
+         * Keyboard navigation of the tree, as in a file explorer: Up/Down move between rows,
+         * Right opens a folder (or steps into it), Left closes it (or steps out to the parent),
+         * Home/End jump to the first/last row, Enter opens a chat or opens/closes a folder,
+         * F2 renames and Delete moves to the Trash. In multi-select mode Space (de)selects.
+         * `item` is { type: 'folder', folderId, folder }, { type: 'chat', chatId, folderId, name, href }
+         * or, when viewing by tag, { type: 'tag', tag }.
+         */
+        function handleTreeKeyDown(event, item) {
+            if (event.altKey || event.metaKey) return;
+            const items = getVisibleTreeItems();
+            const index = items.indexOf(event.currentTarget);
+            const focusAt = (position) => {
+                if (position >= 0 && position < items.length) items[position].focus();
+            };
+            const expandable = item.type !== 'chat';
+
+            if (event.key === 'Enter') {
+                // Ctrl or Shift opens the chat in a new tab, as with a click on a link
+                if (item.type === 'chat') {
+                    openChat(item.href, event);
+                } else {
+                    setTreeItemExpanded(item, !isTreeItemExpanded(item));
+                }
+            } else if (event.ctrlKey || event.shiftKey) {
+                return;
+            } else if (event.key === 'ArrowDown') {
+                focusAt(index + 1);
+            } else if (event.key === 'ArrowUp') {
+                focusAt(index - 1);
+            } else if (event.key === 'Home') {
+                focusAt(0);
+            } else if (event.key === 'End') {
+                focusAt(items.length - 1);
+            } else if (event.key === 'ArrowRight') {
+                if (!expandable) return;
+                if (!isTreeItemExpanded(item)) {
+                    setTreeItemExpanded(item, true);
+                } else if (items[index + 1] && event.currentTarget.contains(items[index + 1])) {
+                    focusAt(index + 1);
+                }
+            } else if (event.key === 'ArrowLeft') {
+                if (expandable && isTreeItemExpanded(item)) {
+                    setTreeItemExpanded(item, false);
+                } else {
+                    // The closest tree item around this one is its parent
+                    const parent = event.currentTarget.parentElement.closest('[data-tree-item]');
+                    if (parent) parent.focus();
+                }
+            } else if (event.key === ' ' && selectionMode && item.type !== 'tag') {
+                const selectionItem = item.type === 'folder'
+                    ? { type: 'folder', folderId: item.folderId }
+                    : { type: 'chat', chatId: item.chatId, name: item.name, folderId: item.folderId };
+                toggleSelection(event.currentTarget.dataset.treeItem, selectionItem, false);
+            } else if (event.key === 'F2' && item.type !== 'tag') {
+                if (item.type === 'folder') {
+                    renameFolder(item.folderId);
+                } else {
+                    renameChat(item.chatId, item.folderId);
+                }
+            } else if (event.key === 'Delete' && item.type !== 'tag') {
+                if (item.type === 'folder') {
+                    deleteFolder(item.folderId);
+                } else {
+                    deleteChat(item.chatId, item.folderId);
+                }
+            } else {
+                return;
+            }
+            event.preventDefault();
+            event.stopPropagation();
         }
 
         function renderItems() {
-            itemsContainer.innerHTML = '';
+            const focusedItem = getFocusedTreeItem();
+            treeContainer.innerHTML = '';
+            trashContainer.innerHTML = '';
+            selectionCheckboxes = [];
+            updateSelectionUI();
+            savedPlaces = collectSavedPlaces();
+            activeChatPlaces = savedPlaces.get(activeChatId) || [];
+            updateSaveButtons();
+
+            if (settings.viewByTag) {
+                renderTagView();
+                updateTreeTabStop();
+                restoreTreeFocus(focusedItem);
+                return;
+            }
 
             // folders first
-            const sortedFolders = foldersData.slice().sort(sortItems);
+            let sortedFolders = foldersData.slice().sort(sortItems);
+            let sortedBookmarkChats = bookmarkChats.slice().sort(sortItems);
+            if (searchQuery) {
+                sortedFolders = sortedFolders.filter(
+                    (folder) => matchesSearch(folder.name) || folderContainsMatch(folder)
+                );
+                sortedBookmarkChats = sortedBookmarkChats.filter((chat) => matchesSearch(chat.name));
+                if (sortedFolders.length === 0 && sortedBookmarkChats.length === 0) {
+                    const noMatchesMsg = document.createElement('div');
+                    noMatchesMsg.textContent = 'No matching folders or chats';
+                    noMatchesMsg.style.fontStyle = 'italic';
+                    noMatchesMsg.style.opacity = '0.7';
+                    noMatchesMsg.style.padding = '5px 10px';
+                    treeContainer.appendChild(noMatchesMsg);
+                }
+            }
+
             sortedFolders.forEach((folder) => {
-                createFolder(folder.name, folder.chats, folder.pinned);
+                treeContainer.appendChild(createFolder(folder));
             });
 
-            const sortedBookmarkChats = bookmarkChats.slice().sort(sortItems);
-
-            if (sortedBookmarkChats.length > 0) {
-                // Add a "Bookmarks 📎" section before showing chats
-                const bookmarkHeader = document.createElement('div');
-                bookmarkHeader.textContent = "\u00A0\u00A0📎\u00A0\u00A0Bookmarks";
-                // bookmarkHeader.style.fontWeight = 'bold';
-                bookmarkHeader.style.marginTop = '10px';
-                bookmarkHeader.style.marginBottom = '5px';
-                itemsContainer.appendChild(bookmarkHeader);
-            }
+            // Add a "Bookmarks 📎" section before showing chats
+            const bookmarkHeader = document.createElement('div');
+            bookmarkHeader.textContent = "\u00A0\u00A0📎\u00A0\u00A0Bookmarks";
+            // bookmarkHeader.style.fontWeight = 'bold';
+            // Screen readers hear "bookmark" on each chat instead
+            bookmarkHeader.setAttribute('aria-hidden', 'true');
+            bookmarkHeader.style.marginTop = '10px';
+            bookmarkHeader.style.marginBottom = '5px';
+            bookmarkHeader.style.borderRadius = '7px';
+            // Kept hidden while there are no bookmarks, except as a drop zone during a drag
+            bookmarkHeader.style.display = sortedBookmarkChats.length > 0 ? 'block' : 'none';
+            makeDropTarget(
+                bookmarkHeader,
+                () => (dragState.type === 'chat' ? 'inside' : null),
+                (position, state) => moveChat(state, null)
+            );
+            bookmarkDropZone = bookmarkHeader;
+            treeContainer.appendChild(bookmarkHeader);
 
             // then bookmarkChats
             sortedBookmarkChats.forEach((chat) => {
-                const chatItem = createChatItem(chat, null, true);
-                itemsContainer.appendChild(chatItem);
+                const chatItem = createChatItem(chat, null);
+                treeContainer.appendChild(chatItem);
+            });
+
+            // Trash goes last, and stays out of search results
+            if (!searchQuery && trash.length > 0) {
+                renderTrash();
+            }
+            updateTreeTabStop();
+            restoreTreeFocus(focusedItem);
+        }
+
+        // Dropping on empty space un-files a chat into bookmarks, or moves a folder to the top level
+        makeDropTarget(
+            itemsContainer,
+            () => 'inside',
+            (position, state) => {
+                if (state.type === 'chat') {
+                    moveChat(state, null);
+                } else {
+                    moveFolder(state.folderId);
+                }
+            }
+        );
+
+        // First render, with the chat being opened already revealed
+        revealActiveChat();
+
+        // Auto-empty old Trash items now and then, for tabs left open for days
+        purgeTrash();
+        setInterval(purgeTrash, 60 * 60 * 1000);
+
+        // Used while ChatGPT's sidebar can't be found (closed, or its markup changed)
+        function createFallbackPanel() {
+            return createElement('div', {
+                attributes: { id: 'my-folders-panel' },
+                styles: {
+                    position: 'fixed',
+                    left: '16px',
+                    bottom: '16px',
+                    zIndex: 9999,
+                    width: '300px',
+                    maxHeight: '70vh',
+                    overflowY: 'auto',
+                    padding: '6px',
+                    background: themeColors.backgroundColor,
+                    color: themeColors.textColor,
+                    border: `1px solid ${themeColors.borderColor}`,
+                    borderRadius: '10px',
+                    boxShadow: '0 4px 16px rgba(0, 0, 0, 0.3)',
+                },
+            });
+        }
+
+        // A streamed answer changes the page constantly; the buttons are only looked at when
+        // ChatGPT's sidebar or header changed, or another chat was opened
+        keepMounted([mainHeader, itemsContainer], createFallbackPanel, (chromeChanged) => {
+            const navigated = followActiveChat();
+            if (chromeChanged || navigated) addSaveButtons();
+        });
+
+        // Replaces the in-memory data with a copy changed elsewhere and redraws it.
+        function applyData(newData) {
+            setData(newData);
+            lastCommittedData = cloneData(currentData());
+            renderItems();
+        }
+
+        function isEditableTarget(target) {
+            return Boolean(target) && (
+                ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName) || target.isContentEditable
+            );
+        }
+
+        const MAX_PALETTE_RESULTS = 50;
+
+        /**
+         * Fuzzy finder in a modal. `entries` are { label, detail, run(event) }; typing filters
+         * them, Up/Down move the highlight and Enter runs the highlighted one.
+         */
+        function openCommandPalette(title, entries, { placeholder = 'Type to search…', hint = '' } = {}) {
+            const { body, footer, close } = openModal(title);
+            const listId = generateId('my-folders-palette');
+            // A combobox: focus stays in the input while the highlight moves through the list
+            const input = createElement('input', {
+                attributes: {
+                    type: 'text',
+                    placeholder,
+                    role: 'combobox',
+                    'aria-label': title,
+                    'aria-expanded': 'true',
+                    'aria-controls': listId,
+                    'aria-autocomplete': 'list',
+                },
+                styles: {
+                    width: '100%',
+                    boxSizing: 'border-box',
+                    padding: '8px 10px',
+                    background: 'transparent',
+                    color: 'inherit',
+                    border: `1px solid ${themeColors.borderColor}`,
+                    borderRadius: '7px',
+                    fontSize: '14px',
+                },
             });
+            const list = createElement('div', {
+                attributes: { id: listId, role: 'listbox', 'aria-label': title },
+                styles: { marginTop: '8px', maxHeight: '50vh', overflowY: 'auto' },
+            });
+            let matches = [];
+            let activeIndex = 0;
+
+            const choose = (index, event) => {
+                if (!matches[index]) return;
+                close();
+                matches[index].run(event);
+            };
+
+            const highlight = () => {
+                Array.from(list.children).forEach((row, index) => {
+                    row.style.background = index === activeIndex ? themeColors.hoverBackgroundColor : 'transparent';
+                    row.setAttribute('aria-selected', String(index === activeIndex));
+                });
+                const activeRow = list.children[activeIndex];
+                if (activeRow) {
+                    activeRow.scrollIntoView({ block: 'nearest' });
+                    input.setAttribute('aria-activedescendant', activeRow.id);
+                } else {
+                    input.removeAttribute('aria-activedescendant');
+                }
+            };
+
+            const render = () => {
+                const query = input.value.trim();
+                const scored = entries
+                    .map((entry) => ({ entry, score: query ? fuzzyScore(query, `${entry.label} ${entry.detail}`) : 0 }))
+                    .filter(({ score }) => score !== null);
+                // Without a query the entries keep their own order
+                if (query) scored.sort((a, b) => b.score - a.score);
+                matches = scored.slice(0, MAX_PALETTE_RESULTS).map(({ entry }) => entry);
+                activeIndex = 0;
+
+                list.innerHTML = '';
+                if (matches.length === 0) {
+                    list.appendChild(createElement('div', {
+                        properties: { textContent: 'No matches' },
+                        attributes: { role: 'option', 'aria-disabled': 'true' },
+                        styles: { padding: '6px 10px', fontStyle: 'italic', opacity: '0.7' },
+                    }));
+                    input.removeAttribute('aria-activedescendant');
+                    return;
+                }
+                matches.forEach((entry, index) => {
+                    const row = createElement('div', {
+                        attributes: { id: `${listId}-${index}`, role: 'option' },
+                        styles: { padding: '6px 10px', borderRadius: '5px', cursor: 'pointer' },
+                        events: {
+                            mousemove: () => {
+                                if (activeIndex === index) return;
+                                activeIndex = index;
+                                highlight();
+                            },
+                            click: (event) => choose(index, event),
+                        },
+                    });
+                    row.appendChild(createElement('div', { properties: { textContent: entry.label } }));
+                    if (entry.detail) {
+                        row.appendChild(createElement('div', {
+                            properties: { textContent: entry.detail },
+                            styles: { fontSize: '12px', opacity: '0.7' },
+                        }));
+                    }
+                    list.appendChild(row);
+                });
+                highlight();
+            };
+
+            input.addEventListener('input', render);
+            input.addEventListener('keydown', (event) => {
+                if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+                    event.preventDefault();
+                    if (matches.length === 0) return;
+                    const step = event.key === 'ArrowDown' ? 1 : -1;
+                    activeIndex = (activeIndex + step + matches.length) % matches.length;
+                    highlight();
+                } else if (event.key === 'Enter') {
+                    event.preventDefault();
+                    choose(activeIndex, event);
+                }
+                // Keep ChatGPT's own shortcuts from reacting to typing here
+                event.stopPropagation();
+            });
+
+            body.appendChild(input);
+            body.appendChild(list);
+            if (hint) {
+                footer.style.justifyContent = 'flex-start';
+                footer.appendChild(createElement('span', {
+                    properties: { textContent: hint },
+                    styles: { fontSize: '12px', opacity: '0.7' },
+                }));
+            }
+            render();
+            input.focus();
+        }
+
+        // Every saved folder as { folder, path }, with `path` naming its parents, in display order.
+        function listFolders(folders = foldersData, path = []) {
+            return folders.slice().sort(sortItems).flatMap((folder) => [
+                { folder, path },
+                ...listFolders(folder.folders, [...path, folder.name]),
+            ]);
+        }
+
+        // A modifier key opens the chat in a new tab, as with a click on a link.
+        function openChat(href, event) {
+            if (event && (event.ctrlKey || event.metaKey || event.shiftKey)) {
+                window.open(href, '_blank', 'noopener');
+            } else {
+                window.location.assign(href);
+            }
+        }
+
+        function openChatPalette() {
+            const entries = bookmarkChats.slice().sort(sortItems).map((chat) => ({
+                label: chat.name,
+                detail: '📎 Bookmarks',
+                run: (event) => openChat(chat.href, event),
+            }));
+            listFolders().forEach(({ folder, path }) => {
+                folder.chats.slice().sort(sortItems).forEach((chat) => {
+                    entries.push({
+                        label: chat.name,
+                        detail: `📁 ${[...path, folder.name].join(' / ')}`,
+                        run: (event) => openChat(chat.href, event),
+                    });
+                });
+            });
+            openCommandPalette('Jump to Chat', entries, {
+                placeholder: 'Search saved chats…',
+                hint: '↑↓ to move · Enter to open · Ctrl+Enter in a new tab · Esc to close',
+            });
+        }
+
+        function openFolderPalette() {
+            const entries = [{ label: '📎 Bookmarks', detail: '', run: bookmarkCurrentChat }];
+            listFolders().forEach(({ folder, path }) => {
+                entries.push({
+                    label: `📁 ${folder.name}`,
+                    detail: path.join(' / '),
+                    run: () => {
+                        setMyFoldersOpen(true);
+                        addCurrentChat(folder.id);
+                    },
+                });
+            });
+            openCommandPalette('Add Current Chat to…', entries, {
+                placeholder: 'Search folders…',
+                hint: '↑↓ to move · Enter to add · Esc to close',
+            });
+        }
+
+        // Where copies of each saved chat are: chat id -> names of its folders ("Bookmarks" for
+        // bookmarks).
+        function collectSavedPlaces() {
+            const places = new Map();
+            forEachChat((chat, folderId) => {
+                const place = folderId === null ? 'Bookmarks' : (getFolderPath(folderId) || []).join(' / ');
+                places.set(chat.id, [...(places.get(chat.id) || []), place]);
+            });
+            return places;
+        }
+
+        /**
+         * Folder picker for saving the chat at `href`, in the popover under `anchor`. Folders that
+         * already hold the chat are checked; unchecking one asks before moving that copy to the
+         * Trash. A search box filters the folders, and "New folder" creates one with the chat in it.
+         */
+        function openSavePicker(anchor, href, chatName) {
+            const state = { query: '' };
+            openPopover(anchor, (container) => populateSavePicker(container, href, chatName, state));
+            popoverReturnFocus = anchor;
+            const searchBox = popover.querySelector('input');
+            if (searchBox) searchBox.focus();
+        }
+
+        function populateSavePicker(container, href, chatName, state) {
+            const chatId = getChatId(href);
+            container.appendChild(createElement('div', {
+                properties: { textContent: `Save "${chatName}" to` },
+                styles: {
+                    maxWidth: '260px',
+                    padding: '5px 10px',
+                    fontWeight: 'bold',
+                    overflow: 'hidden',
+                    textOverflow: 'ellipsis',
+                    whiteSpace: 'nowrap',
+                },
+            }));
+            const searchBox = createElement('input', {
+                attributes: { type: 'search', placeholder: 'Search folders…', 'aria-label': 'Search folders' },
+                properties: { value: state.query },
+                styles: {
+                    width: 'calc(100% - 10px)',
+                    boxSizing: 'border-box',
+                    margin: '0 5px 5px',
+                    padding: '5px 8px',
+                    background: 'transparent',
+                    color: 'inherit',
+                    border: `1px solid ${themeColors.borderColor}`,
+                    borderRadius: '5px',
+                    fontSize: '13px',
+                },
+            });
+            const list = createElement('div');
+            container.appendChild(searchBox);
+            container.appendChild(list);
+
+            const renderList = () => {
+                list.innerHTML = '';
+                const query = state.query.trim();
+                const savedIn = [];
+                forEachChat((chat, folderId) => {
+                    if (chat.id === chatId) savedIn.push(folderId);
+                });
+                const targets = [
+                    { folderId: null, label: '📎 Bookmarks', detail: '' },
+                    ...listFolders().map(({ folder, path }) => ({
+                        folderId: folder.id,
+                        label: `${folder.icon || '📁'} ${folder.name}`,
+                        detail: path.join(' / '),
+                    })),
+                ].filter(({ label, detail }) => !query || fuzzyScore(query, `${label} ${detail}`) !== null);
+
+                targets.forEach(({ folderId, label, detail }) => {
+                    const checkbox = createElement('input', {
+                        attributes: { type: 'checkbox', tabindex: '-1', 'aria-hidden': 'true' },
+                        properties: { checked: savedIn.includes(folderId) },
+                        styles: { pointerEvents: 'none' },
+                    });
+                    const labelSpan = createElement('span', { properties: { textContent: label } });
+                    const detailSpan = createElement('span', {
+                        properties: { textContent: detail },
+                        styles: { marginLeft: 'auto', fontSize: '12px', opacity: '0.7' },
+                    });
+                    const row = createPopoverRow([checkbox, labelSpan, detailSpan], async () => {
+                        if (checkbox.checked) {
+                            const place = folderId === null ? 'Bookmarks' : `"${getFolderPath(folderId).join(' / ')}"`;
+                            const confirmed = await showConfirm(`Move the copy of "${chatName}" in ${place} to the Trash?`, {
+                                confirmLabel: 'Move to Trash',
+                                destructive: true,
+                            });
+                            if (!confirmed) return;
+                            deleteChat(chatId, folderId);
+                        } else if (folderId === null) {
+                            bookmarkChat(createChatEntry(href, chatName));
+                        } else {
+                            addChatToFolder(folderId, createChatEntry(href, chatName));
+                        }
+                        refreshPopover();
+                    });
+                    row.setAttribute('role', 'checkbox');
+                    row.setAttribute('aria-checked', String(checkbox.checked));
+                    if (detail) row.setAttribute('aria-label', `${label}, in ${detail}`);
+                    list.appendChild(row);
+                });
+                if (targets.length === 0) {
+                    list.appendChild(createElement('div', {
+                        properties: { textContent: 'No matching folders' },
+                        styles: { padding: '5px 10px', fontStyle: 'italic', opacity: '0.7' },
+                    }));
+                }
+
+                list.appendChild(createPopoverRow(
+                    [createElement('span', { properties: { textContent: query ? `+ New folder "${query}"` : '+ New folder' } })],
+                    async () => {
+                        const folderName = await promptFolderName(foldersData, 'Enter folder name:', query);
+                        if (!folderName) return;
+                        const newFolder = createFolderEntry(folderName);
+                        const newChat = createChatEntry(href, chatName);
+                        newFolder.chats.push(newChat);
+                        foldersData.push(newFolder);
+                        commitChange(`Added "${newChat.name}" to new folder "${folderName}"`);
+                        folderExpansionState[newFolder.id] = true;
+                        renderItems();
+                        state.query = '';
+                        refreshPopover();
+                    }
+                ));
+            };
+
+            searchBox.addEventListener('input', () => {
+                state.query = searchBox.value;
+                renderList();
+            });
+            searchBox.addEventListener('keydown', (event) => {
+                if (event.key === 'Enter') {
+                    event.preventDefault();
+                    const firstRow = list.querySelector('[data-popover-row]');
+                    if (firstRow) firstRow.click();
+                }
+                // The popover's own handler moves to the rows and closes it; ChatGPT's
+                // shortcuts shouldn't react to typing here
+                if (!['ArrowDown', 'ArrowUp', 'Escape'].includes(event.key)) event.stopPropagation();
+            });
+            renderList();
+        }
+
+        // Native history entries get a "Save to folder" button next to their link, over its right
+        // end, shown on hover or focus or once the chat is saved
+        const saveButtonStyle = createElement('style', {
+            attributes: { id: 'my-folders-save-buttons' },
+            properties: {
+                textContent: `
+[data-my-folders-save="link"] {
+    opacity: 0;
+}
+:hover > [data-my-folders-save="link"],
+:focus-within > [data-my-folders-save="link"],
+[data-my-folders-save="link"][data-saved="true"] {
+    opacity: 1;
+}`,
+            },
+        });
+        document.head.appendChild(saveButtonStyle);
+
+        // kind is "header" for the button of the open conversation, "link" for a history entry
+        function createSaveButton(kind) {
+            const button = createElement('button', {
+                attributes: { type: 'button', 'data-my-folders-save': kind, 'data-my-folders-ui': '' },
+                styles: kind === 'header'
+                    ? {
+                        padding: '6px 10px',
+                        background: 'transparent',
+                        color: 'inherit',
+                        border: `1px solid ${themeColors.borderColor}`,
+                        borderRadius: '8px',
+                        fontSize: '14px',
+                        whiteSpace: 'nowrap',
+                        cursor: 'pointer',
+                    }
+                    : {
+                        position: 'absolute',
+                        top: '50%',
+                        // Clear of ChatGPT's own "…" button at the end of the entry
+                        right: '36px',
+                        transform: 'translateY(-50%)',
+                        padding: '0 2px',
+                        background: 'none',
+                        color: 'inherit',
+                        border: 'none',
+                        fontSize: '14px',
+                        cursor: 'pointer',
+                    },
+                events: {
+                    mouseover: () => {
+                        button.style.color = themeColors.accentColor;
+                    },
+                    mouseout: () => {
+                        button.style.color = 'inherit';
+                    },
+                    click: (event) => {
+                        event.stopPropagation();
+                        const { href, name } = getSaveButtonChat(button);
+                        openSavePicker(button, href, name);
+                    },
+                },
+            });
+            return button;
+        }
+
+        function getSaveButtonChat(button) {
+            if (button.dataset.myFoldersSave === 'header') {
+                return { href: window.location.href, name: document.title || 'Unnamed Chat' };
+            }
+            const link = button.previousElementSibling;
+            const name = link ? link.textContent.trim() : '';
+            return { href: link ? link.href : '', name: name || 'Unnamed Chat' };
+        }
+
+        function isHistoryLink(element) {
+            return Boolean(element) && element.tagName === 'A' && Boolean(getConversationId(element.href)) &&
+                !element.closest('[data-my-folders-ui]');
+        }
+
+        // Shows on each button whether, and where, its chat is saved.
+        function updateSaveButtons() {
+            document.querySelectorAll('[data-my-folders-save]').forEach((button) => {
+                const chatPlaces = savedPlaces.get(getChatId(getSaveButtonChat(button).href)) || [];
+                const saved = chatPlaces.length > 0;
+                const label = saved ? `Saved in ${chatPlaces.join(', ')}` : 'Save to folder';
+                const icon = saved ? '📂' : '📁';
+                // The header's button also counts the copies when there is more than one
+                const count = chatPlaces.length > 1 ? ` ×${chatPlaces.length}` : '';
+                const text = button.dataset.myFoldersSave === 'header' ? `${icon} ${saved ? 'Saved' : 'Save'}${count}` : icon;
+                // Only real changes, as these writes are seen by the page observer
+                if (button.textContent !== text) button.textContent = text;
+                if (button.title !== label) {
+                    button.title = label;
+                    button.setAttribute('aria-label', label);
+                }
+                if (button.dataset.saved !== String(saved)) button.dataset.saved = String(saved);
+            });
+        }
+
+        // Puts the buttons into ChatGPT's page as it renders: the header one while a conversation
+        // is open, and one on every history entry not showing one yet.
+        let headerSaveButton = null;
+        function addSaveButtons() {
+            const inConversation = Boolean(getConversationId(window.location.href));
+            if (!inConversation && headerSaveButton && headerSaveButton.isConnected) {
+                headerSaveButton.remove();
+            } else if (inConversation && (!headerSaveButton || !headerSaveButton.isConnected)) {
+                const anchor = findAnchor(CONVERSATION_HEADER_ANCHORS);
+                if (anchor) {
+                    headerSaveButton = headerSaveButton || createSaveButton('header');
+                    anchor.element.insertAdjacentElement(anchor.position, headerSaveButton);
+                }
+            }
+            // Buttons whose link was re-rendered away or moved go, then every link lacking one gets one
+            document.querySelectorAll('[data-my-folders-save="link"]').forEach((button) => {
+                if (!isHistoryLink(button.previousElementSibling)) button.remove();
+            });
+            document.querySelectorAll('nav a[href]').forEach((link) => {
+                if (!isHistoryLink(link)) return;
+                const next = link.nextElementSibling;
+                if (next && next.dataset.myFoldersSave === 'link') return;
+                // Beside the link rather than inside it, where it would be part of the link
+                if (link.parentElement && getComputedStyle(link.parentElement).position === 'static') {
+                    link.parentElement.style.position = 'relative';
+                }
+                link.insertAdjacentElement('afterend', createSaveButton('link'));
+            });
+            // The header button follows the conversation as ChatGPT navigates without reloading
+            updateSaveButtons();
+        }
+
+        // Opens the folders holding the active chat, redraws the tree and scrolls its entry into view.
+        function revealActiveChat() {
+            forEachFolder((folder) => {
+                if (!folder.chats.some((chat) => chat.id === activeChatId)) return;
+                for (let folderId = folder.id; folderId !== null; folderId = findParentFolderId(folderId)) {
+                    folderExpansionState[folderId] = true;
+                }
+            });
+            renderItems();
+            const activeItem = treeContainer.querySelector('[aria-current="page"]');
+            if (activeItem && itemsContainer.style.display !== 'none') activeItem.scrollIntoView({ block: 'nearest' });
+        }
+
+        // ChatGPT opens chats without reloading the page, so the URL is checked as the page changes.
+        // Returns whether another chat was opened.
+        function followActiveChat() {
+            trackStartedChat();
+            const chatId = getChatId(window.location.href);
+            if (chatId === activeChatId) return false;
+            activeChatId = chatId;
+            revealActiveChat();
+            return true;
+        }
+
+        window.addEventListener('popstate', () => {
+            if (followActiveChat()) addSaveButtons();
+        });
+        addSaveButtons();
+
+        // Opens My Folders and puts the keyboard on the tree, where Tab would land.
+        function focusMyFolders() {
+            setMyFoldersOpen(true);
+            const tabStop = treeContainer.querySelector('[data-tree-item][tabindex="0"]');
+            (tabStop || folderIconContainer).focus();
+            mainHeader.scrollIntoView({ block: 'nearest' });
+        }
+
+        // Alt+Shift combinations stay clear of ChatGPT's own Ctrl/Cmd+Shift shortcuts.
+        // Matched by key position (event.code), since Alt changes the typed character on macOS.
+        const SHORTCUTS = [
+            { code: 'KeyJ', keys: 'Alt+Shift+J', description: 'Jump to a saved chat', run: openChatPalette },
+            { code: 'KeyA', keys: 'Alt+Shift+A', description: 'Add the current chat to a folder', run: openFolderPalette },
+            { code: 'KeyB', keys: 'Alt+Shift+B', description: 'Bookmark the current chat', run: bookmarkCurrentChat },
+            { code: 'KeyN', keys: 'Alt+Shift+N', description: 'Create a folder', run: createTopLevelFolder },
+            { code: 'KeyM', keys: 'Alt+Shift+M', description: 'Move the keyboard to My Folders', run: focusMyFolders },
+        ];
+
+        // Keys of the folder tree itself, listed next to the global shortcuts.
+        const TREE_KEYS = [
+            { keys: '↑ ↓', description: 'Move between folders and chats' },
+            { keys: '→ ←', description: 'Open or close a folder' },
+            { keys: 'Enter', description: 'Open the chat, or open/close the folder' },
+            { keys: 'F2', description: 'Rename' },
+            { keys: 'Delete', description: 'Move to the Trash' },
+            { keys: 'Space', description: 'Select, in multi-select mode' },
+            { keys: 'Menu or Shift+F10', description: 'Show the context menu' },
+        ];
+
+        function showShortcuts() {
+            const { body, footer, close } = openModal('Keyboard Shortcuts');
+            const addSection = (title, rows) => {
+                body.appendChild(createElement('div', {
+                    properties: { textContent: title },
+                    styles: { margin: '8px 0 4px', fontWeight: 'bold' },
+                }));
+                rows.forEach(({ keys, description }) => {
+                    const row = createElement('div', {
+                        styles: { display: 'flex', justifyContent: 'space-between', gap: '16px', padding: '3px 0' },
+                    });
+                    row.appendChild(createElement('span', { properties: { textContent: description } }));
+                    row.appendChild(createElement('kbd', {
+                        properties: { textContent: keys },
+                        styles: {
+                            padding: '1px 6px',
+                            border: `1px solid ${themeColors.borderColor}`,
+                            borderRadius: '4px',
+                            fontFamily: 'inherit',
+                            fontSize: '12px',
+                            whiteSpace: 'nowrap',
+                        },
+                    }));
+                    body.appendChild(row);
+                });
+            };
+            addSection('Anywhere in ChatGPT', SHORTCUTS);
+            addSection('In the folder tree', TREE_KEYS);
+            footer.appendChild(createModalButton('Close', close, true));
         }
 
-        renderItems();
+        document.addEventListener('keydown', (event) => {
+            if (!event.altKey || !event.shiftKey || event.ctrlKey || event.metaKey || modalStack.length > 0) return;
+            const shortcut = SHORTCUTS.find(({ code }) => code === event.code);
+            if (!shortcut) return;
+            event.preventDefault();
+            event.stopPropagation();
+            closeOptionsMenu();
+            closePopover();
+            shortcut.run();
+        }, true);
+
+        // Ctrl/Cmd+Z undoes, Ctrl/Cmd+Shift+Z or Ctrl+Y redoes; text fields keep their own undo
+        document.addEventListener('keydown', (event) => {
+            if (!(event.ctrlKey || event.metaKey) || event.altKey || isEditableTarget(event.target)) return;
+            const key = event.key.toLowerCase();
+            if (key === 'z' && !event.shiftKey && undoStack.length > 0) {
+                event.preventDefault();
+                undo();
+            } else if (((key === 'z' && event.shiftKey) || (key === 'y' && event.ctrlKey)) && redoStack.length > 0) {
+                event.preventDefault();
+                redo();
+            }
+        });
+
+        // Another tab or device changed the data
+        onDataChanged(applyData);
+
+        onSyncError((message) => showToast(message, { tone: 'error', duration: 10000 }));
 
-        exploreGPTs.parentElement.insertAdjacentElement('afterend', mainHeader);
-        mainHeader.insertAdjacentElement('afterend', itemsContainer);
+        // Settings changed, possibly on the extension's options page
+        onSettingsChanged(() => {
+            applyTheme();
+            syncItem.textContent = syncMenuLabel();
+            viewByTagItem.textContent = viewByTagLabel();
+            trashRetentionItem.textContent = trashRetentionLabel();
+            purgeTrash();
+            renderItems();
+        });
 
         const titleElement = document.querySelector('title');
         const titleObserver = new MutationObserver((mutations) => {
             mutations.forEach((mutation) => {
                 const newTitle = mutation.target.textContent;
-                updateChatNameIfExists(window.location.href, newTitle);
+                updateChatNameIfExists(getChatId(window.location.href), newTitle);
+                autoFileCurrentChat();
             });
         });
         titleObserver.observe(titleElement, { childList: true });
 
-        function updateChatNameIfExists(href, newName) {
+        function updateChatNameIfExists(chatId, newName) {
             let updated = false;
             bookmarkChats.forEach((chat) => {
-                if (chat.href === href && chat.name !== newName) {
+                if (chat.id === chatId && chat.name !== newName) {
                     chat.name = newName;
                     updated = true;
                 }
             });
 
-            foldersData.forEach((folder) => {
-                const chatIndex = folder.chats.findIndex((c) => c.href === href);
+            forEachFolder((folder) => {
+                const chatIndex = folder.chats.findIndex((c) => c.id === chatId);
                 if (chatIndex !== -1) {
                     if (folder.chats[chatIndex].name !== newName) {
                         folder.chats[chatIndex].name = newName;
@@ -1083,26 +4870,12 @@
             });
 
             if (updated) {
-                saveData({ foldersData, bookmarkChats });
+                // Automatic, so not an undo step of its own
+                commitChange(null);
                 renderItems();
             }
         }
     }
 
-    const observer = new MutationObserver((mutationsList, observer) => {
-        for (const mutation of mutationsList) {
-            if (mutation.type === 'childList') {
-                const exploreGPTs = Array.from(document.querySelectorAll('button')).find(
-                    (button) => button.textContent.trim() === 'Explore GPTs'
-                );
-                if (exploreGPTs) {
-                    initMyFolders();
-                    observer.disconnect();
-                    break;
-                }
-            }
-        }
-    });
-
-    observer.observe(document.body, { childList: true, subtree: true });
+    initMyFolders();
 })();
@@ -0,0 +1,250 @@
+/**
+ * @fileoverview The options page: settings, import and export, and a view of the folder tree,
+ * all usable without a ChatGPT tab open.
+ */
+(() => {
+    'use strict';
+
+    const {
+        settings,
+        loadData,
+        saveData,
+        saveSettings,
+        enableSync,
+        cloneData,
+        mergeData,
+        onDataChanged,
+        onSyncError,
+        onSettingsChanged,
+        readExport,
+        createExport,
+        planImportMerge,
+        countItems,
+        sortedForExport,
+        sortItems,
+        EXPORT_FORMATS,
+        pickFile,
+        downloadFile,
+        createElement,
+    } = MyFolders;
+    const { applyAccentColor, renderTree, createButton } = MyFoldersPages;
+
+    const syncCheckbox = document.getElementById('sync-enabled');
+    const syncQuestion = document.getElementById('sync-question');
+    const viewByTagCheckbox = document.getElementById('view-by-tag');
+    const trashDaysInput = document.getElementById('trash-days');
+    const accentColorInput = document.getElementById('accent-color');
+    const settingsError = document.getElementById('settings-error');
+    const transferActions = document.getElementById('transfer-actions');
+    const transferStatus = document.getElementById('transfer-status');
+    const importPreview = document.getElementById('import-preview');
+    const searchInput = document.getElementById('search');
+    const tree = document.getElementById('tree');
+    let data = null;
+
+    function renderSettings() {
+        syncCheckbox.checked = settings.syncEnabled;
+        viewByTagCheckbox.checked = settings.viewByTag;
+        if (document.activeElement !== trashDaysInput) {
+            trashDaysInput.value = String(settings.trashRetentionDays);
+        }
+        accentColorInput.value = settings.accentColor;
+        applyAccentColor();
+    }
+
+    function renderFolders() {
+        renderTree(tree, data, searchInput.value);
+    }
+
+    // Replaces the page's copy of the data, as saved here or received from elsewhere.
+    function setData(newData) {
+        data = newData;
+        renderFolders();
+    }
+
+    /**
+     * Asks a question inside `container` instead of with the browser's blocking confirm().
+     * Resolves to true for confirmLabel and false for cancelLabel; the container is then hidden.
+     */
+    function askInline(container, message, { confirmLabel = 'OK', cancelLabel = 'Cancel' } = {}) {
+        return new Promise((resolve) => {
+            const answer = (confirmed) => {
+                container.hidden = true;
+                container.innerHTML = '';
+                resolve(confirmed);
+            };
+            const messageElement = createElement('p', {
+                properties: { textContent: message },
+                attributes: { id: `${container.id || 'inline'}-message` },
+            });
+            const buttons = createElement('div', { attributes: { class: 'toolbar' } });
+            const cancelButton = createButton(cancelLabel, () => answer(false));
+            buttons.appendChild(createButton(confirmLabel, () => answer(true), true));
+            buttons.appendChild(cancelButton);
+            container.innerHTML = '';
+            container.setAttribute('role', 'alertdialog');
+            container.setAttribute('aria-describedby', messageElement.id);
+            container.appendChild(messageElement);
+            container.appendChild(buttons);
+            container.hidden = false;
+            // Nothing is replaced by a stray Enter
+            cancelButton.focus();
+        });
+    }
+
+    syncCheckbox.addEventListener('change', async () => {
+        if (!syncCheckbox.checked) {
+            await saveSettings({ syncEnabled: false });
+            return;
+        }
+        const remoteData = await enableSync(data, () => askInline(
+            syncQuestion,
+            "Folders from your other devices were found. Replace this device's folders with them?\n\n" +
+                "Keeping this device's folders syncs them to your other devices instead.",
+            { confirmLabel: 'Replace', cancelLabel: "Keep This Device's" }
+        ));
+        if (remoteData) setData(remoteData);
+    });
+
+    viewByTagCheckbox.addEventListener('change', () => {
+        saveSettings({ viewByTag: viewByTagCheckbox.checked });
+    });
+
+    trashDaysInput.addEventListener('change', () => {
+        const days = Number(trashDaysInput.value.trim());
+        if (!Number.isInteger(days) || days < 0) {
+            settingsError.textContent = 'Please enter a whole number of days.';
+            return;
+        }
+        settingsError.textContent = '';
+        saveSettings({ trashRetentionDays: days });
+    });
+
+    accentColorInput.addEventListener('change', () => {
+        saveSettings({ accentColor: accentColorInput.value });
+    });
+
+    function appendList(title, lines) {
+        if (lines.length === 0) return;
+        importPreview.appendChild(createElement('strong', { properties: { textContent: `${title} (${lines.length})` } }));
+        const list = createElement('ul');
+        lines.forEach((line) => list.appendChild(createElement('li', { properties: { textContent: line } })));
+        importPreview.appendChild(list);
+    }
+
+    // Outcome of the last import or export, in place of a blocking alert, with an Undo button
+    // for imports.
+    function showTransferStatus(message, isError = false, onUndo = null) {
+        transferStatus.textContent = message;
+        transferStatus.classList.toggle('error', isError);
+        if (onUndo) {
+            transferStatus.append(' ');
+            transferStatus.appendChild(createButton('Undo', onUndo));
+        }
+    }
+
+    /**
+     * Saves imported data, undoably like an import in the ChatGPT page: undoing replays the
+     * difference back onto the current data, so changes made since elsewhere are kept.
+     */
+    function applyImport(newData, message) {
+        const before = cloneData(data);
+        const after = cloneData(newData);
+        setData(newData);
+        saveData(data);
+        showTransferStatus(message, false, () => {
+            setData(mergeData(after, before, data));
+            saveData(data);
+            showTransferStatus('Import undone.');
+        });
+    }
+
+    // Shows what importing would do, with the choice to merge or replace.
+    function showImportPreview(imported) {
+        const plan = planImportMerge(data, imported.data);
+        const incoming = countItems(imported.data);
+        const existing = countItems(data);
+        showTransferStatus('');
+        importPreview.innerHTML = '';
+        importPreview.hidden = false;
+        importPreview.appendChild(createElement('p', {
+            properties: {
+                textContent: `The file has ${incoming.folderCount} folders and ${incoming.chatCount} chats. ` +
+                    `Merge adds them to your ${existing.folderCount} folders and ${existing.chatCount} chats; ` +
+                    'Replace discards yours and keeps only the file\'s.',
+            },
+        }));
+        appendList('Problems in the file (fixed or left out)', imported.errors);
+        appendList('Will be added', plan.added);
+        appendList('Will be updated', plan.updated);
+        appendList('Will be skipped', plan.skipped);
+
+        const closePreview = () => {
+            importPreview.hidden = true;
+            importPreview.innerHTML = '';
+        };
+        const buttons = createElement('div', { attributes: { class: 'toolbar' } });
+        const replaceQuestion = createElement('div', {
+            attributes: { class: 'inline-confirm', id: 'replace-question' },
+            properties: { hidden: true },
+        });
+        buttons.appendChild(createButton('Merge', () => {
+            closePreview();
+            applyImport(plan.data, `Data merged: ${plan.added.length} added, ${plan.updated.length} updated, ${plan.skipped.length} skipped.`);
+        }, true));
+        buttons.appendChild(createButton('Replace', async () => {
+            // .toolbar's display would win over the hidden attribute
+            buttons.style.display = 'none';
+            const confirmed = await askInline(
+                replaceQuestion,
+                'Replace all of your folders, bookmarks and tags with the imported data?',
+                { confirmLabel: 'Replace' }
+            );
+            buttons.style.display = '';
+            if (!confirmed) return;
+            closePreview();
+            applyImport(imported.data, 'Data imported.');
+        }));
+        buttons.appendChild(createButton('Cancel', closePreview));
+        importPreview.appendChild(buttons);
+        importPreview.appendChild(replaceQuestion);
+    }
+
+    transferActions.appendChild(createButton('📥 Import User Data', () => {
+        pickFile('.json', (contents) => {
+            let imported;
+            try {
+                imported = readExport(contents);
+            } catch (error) {
+                showTransferStatus(`Failed to import data: ${error.message}`, true);
+                console.error('Import error:', error);
+                return;
+            }
+            showImportPreview(imported);
+        }, () => showTransferStatus('Failed to read the file.', true));
+    }, true));
+    transferActions.appendChild(createButton('📤 Export User Data', () => {
+        downloadFile(JSON.stringify(createExport(data), null, 2), 'my_folders_data.json', 'application/json');
+        showTransferStatus('Exported your data to my_folders_data.json.');
+    }));
+    Object.values(EXPORT_FORMATS).forEach((format) => {
+        transferActions.appendChild(createButton(format.label, () => {
+            const folders = sortedForExport(data.foldersData);
+            const chats = data.bookmarkChats.slice().sort(sortItems);
+            downloadFile(format.build('My Folders', folders, chats, []), `my_folders.${format.extension}`, format.mimeType);
+            showTransferStatus(`Exported your folders to my_folders.${format.extension}.`);
+        }));
+    });
+
+    searchInput.addEventListener('input', renderFolders);
+
+    loadData().then((loaded) => {
+        renderSettings();
+        setData(loaded);
+        onDataChanged(setData);
+        onSettingsChanged(renderSettings);
+        onSyncError((message) => {
+            settingsError.textContent = message;
+        });
+    });
+})();
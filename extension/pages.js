@@ -0,0 +1,103 @@
+/**
+ * @fileoverview Helpers shared by the extension's popup and options pages, which show the
+ * folder tree outside of ChatGPT. Exposed as the MyFoldersPages global.
+ */
+const MyFoldersPages = (() => {
+    'use strict';
+
+    const { settings, sortItems, unescapeName, createElement } = MyFolders;
+
+    // The accent color picked in the settings, for the buttons of the page.
+    function applyAccentColor() {
+        document.documentElement.style.setProperty('--accent-color', settings.accentColor);
+    }
+
+    function matches(name, query) {
+        return unescapeName(name).toLowerCase().includes(query);
+    }
+
+    function folderHasMatch(folder, query) {
+        return folder.chats.some((chat) => matches(chat.name, query)) ||
+            folder.folders.some((subFolder) => matches(subFolder.name, query) || folderHasMatch(subFolder, query));
+    }
+
+    function createChatLink(chat) {
+        return createElement('a', {
+            attributes: { href: chat.href, target: '_blank', rel: 'noopener', title: chat.href },
+            properties: { textContent: `${chat.pinned ? '◉ ' : ''}${unescapeName(chat.name)}` },
+            styles: chat.color ? { borderLeft: `4px solid ${chat.color}`, paddingLeft: '4px' } : {},
+        });
+    }
+
+    function createFolderNode(folder, query, open) {
+        const details = createElement('details', { properties: { open } });
+        details.appendChild(createElement('summary', {
+            properties: { textContent: `${folder.icon || '📁'} ${folder.pinned ? '◉ ' : ''}${unescapeName(folder.name)}` },
+            styles: folder.color ? { borderLeft: `4px solid ${folder.color}` } : {},
+        }));
+        // A matching folder shows everything in it; otherwise only what leads to matches
+        const showAll = !query || matches(folder.name, query);
+        folder.folders.slice().sort(sortItems).forEach((subFolder) => {
+            if (showAll || matches(subFolder.name, query) || folderHasMatch(subFolder, query)) {
+                details.appendChild(createFolderNode(subFolder, showAll ? '' : query, open));
+            }
+        });
+        folder.chats.slice().sort(sortItems).forEach((chat) => {
+            if (showAll || matches(chat.name, query)) details.appendChild(createChatLink(chat));
+        });
+        if (folder.folders.length === 0 && folder.chats.length === 0) {
+            details.appendChild(createElement('div', {
+                properties: { textContent: '(empty)' },
+                attributes: { class: 'muted' },
+                styles: { marginLeft: '12px' },
+            }));
+        }
+        return details;
+    }
+
+    /**
+     * Fills container with a read-only tree of data: folders that open and close, and chats
+     * that open in a new tab. A search query keeps only matching folders and chats, opened.
+     */
+    function renderTree(container, data, query = '') {
+        const lowerQuery = query.trim().toLowerCase();
+        container.innerHTML = '';
+        container.classList.add('tree');
+
+        const folders = data.foldersData.slice().sort(sortItems).filter(
+            (folder) => !lowerQuery || matches(folder.name, lowerQuery) || folderHasMatch(folder, lowerQuery)
+        );
+        const chats = data.bookmarkChats.slice().sort(sortItems).filter(
+            (chat) => !lowerQuery || matches(chat.name, lowerQuery)
+        );
+
+        folders.forEach((folder) => container.appendChild(createFolderNode(folder, lowerQuery, Boolean(lowerQuery))));
+        if (chats.length > 0) {
+            container.appendChild(createElement('div', {
+                properties: { textContent: 'Bookmarks' },
+                attributes: { class: 'section-title' },
+            }));
+            chats.forEach((chat) => container.appendChild(createChatLink(chat)));
+        }
+        if (folders.length === 0 && chats.length === 0) {
+            container.appendChild(createElement('div', {
+                properties: { textContent: lowerQuery ? 'Nothing matches your search.' : 'No folders or bookmarks yet.' },
+                attributes: { class: 'muted' },
+            }));
+        }
+    }
+
+    function createButton(text, onClick, primary = false) {
+        return createElement('button', {
+            properties: { textContent: text },
+            attributes: primary ? { class: 'primary' } : {},
+            events: { click: onClick },
+        });
+    }
+
+    return {
+        applyAccentColor,
+        renderTree,
+        createButton,
+    };
+})();
@@ -0,0 +1,43 @@
+/**
+ * @fileoverview The toolbar popup: a searchable view of the folder tree, with shortcuts to
+ * ChatGPT, a JSON export and the options page.
+ */
+(() => {
+    'use strict';
+
+    const { CHATGPT_ORIGIN, loadData, onDataChanged, onSettingsChanged, createExport, downloadFile } = MyFolders;
+    const { applyAccentColor, renderTree, createButton } = MyFoldersPages;
+
+    const tree = document.getElementById('tree');
+    const searchInput = document.getElementById('search');
+    const actions = document.getElementById('actions');
+    let data = null;
+
+    function render() {
+        renderTree(tree, data, searchInput.value);
+    }
+
+    actions.appendChild(createButton('Open ChatGPT', () => {
+        window.open(CHATGPT_ORIGIN, '_blank');
+    }, true));
+    actions.appendChild(createButton('📤 Export', () => {
+        downloadFile(JSON.stringify(createExport(data), null, 2), 'my_folders_data.json', 'application/json');
+    }));
+    // Imports open a file picker, which would close the popup, so they live on the options page
+    actions.appendChild(createButton('⚙️ Options & Import', () => {
+        chrome.runtime.openOptionsPage();
+    }));
+
+    searchInput.addEventListener('input', render);
+
+    loadData().then((loaded) => {
+        applyAccentColor();
+        onSettingsChanged(applyAccentColor);
+        data = loaded;
+        render();
+        onDataChanged((newData) => {
+            data = newData;
+            render();
+        });
+    });
+})();
@@ -0,0 +1,1480 @@
+/**
+ * @fileoverview Code shared by the content script and the extension's popup and options pages:
+ * storage and sync of the folder data, its format (versions, migrations, validation), imports
+ * and exports, and small DOM helpers. Exposed as the MyFolders global.
+ */
+const MyFolders = (() => {
+    'use strict';
+
+    // Key used by earlier versions in the ChatGPT page's localStorage; migrated once on load.
+    const LOCAL_STORAGE_KEY = 'myFoldersAndBookmarksData_v2';
+    // chrome.storage keys
+    const STORAGE_KEY = 'myFoldersAndBookmarksData';
+    const SETTINGS_KEY = 'myFoldersSettings';
+    const SYNC_META_KEY = 'myFoldersSyncMeta';
+    const SYNC_CHUNK_PREFIX = 'myFoldersSyncChunk_';
+    // chrome.storage.sync allows 8192 bytes per item (key + JSON value), so data is split into chunks
+    const SYNC_CHUNK_CHARS = 2000;
+    const SYNC_CHUNK_BYTES = 7000;
+    // chrome.storage.sync also limits writes per minute, so bursts of edits are coalesced
+    const SYNC_WRITE_DELAY = 2000;
+    const DEFAULT_SETTINGS = {
+        syncEnabled: false,
+        viewByTag: false,
+        trashRetentionDays: 30,
+        accentColor: '#00aaff',
+    };
+    // Folder colors and icons offered in a folder's context menu
+    const FOLDER_COLORS = ['#e57373', '#ffb74d', '#fff176', '#81c784', '#4db6ac', '#64b5f6', '#9575cd', '#f06292', '#a1887f', '#90a4ae'];
+    const FOLDER_ICONS = ['📁', '💼', '💻', '📚', '🧪', '📝', '💡', '⭐', '🔥', '🎯', '📊', '🛠️', '🧠', '🎨', '🏠', '✈️'];
+    // An icon is one emoji, which can take several code points (flags, skin tones, ZWJ sequences),
+    // so it is checked per grapheme
+    const graphemeSegmenter = new Intl.Segmenter(undefined, { granularity: 'grapheme' });
+    const EMOJI_PATTERN = /\p{Extended_Pictographic}|\p{Regional_Indicator}/u;
+    // Accent colors offered in the menu; any other can be picked too
+    const ACCENT_COLORS = ['#00aaff', '#10a37f', '#ab68ff', '#ff8a3d', '#e5484d', '#d6409f'];
+    const DAY_MS = 24 * 60 * 60 * 1000;
+    // Colors handed out to new tags in turn
+    const TAG_COLORS = ['#e57373', '#64b5f6', '#81c784', '#ffb74d', '#ba68c8', '#4db6ac', '#f06292', '#a1887f'];
+    // Sites the extension runs on
+    const CHATGPT_HOSTS = ['chatgpt.com', 'chat.openai.com'];
+    // Saved links are resolved against ChatGPT, also from the extension's own pages
+    const CHATGPT_ORIGIN = CHATGPT_HOSTS.includes(window.location.hostname)
+        ? window.location.origin
+        : 'https://chatgpt.com';
+
+    function generateId(prefix) {
+        return `${prefix}_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+    }
+
+    // Updated in place, so everyone holding it sees changes made in other tabs and pages
+    const settings = { ...DEFAULT_SETTINGS };
+    // Revision, timestamp and contents of the stored data this tab's in-memory copy is based on.
+    // Change events carrying the same revision are echoes of our own writes, and baseData is the
+    // common ancestor when another tab's edits have to be merged with ours.
+    let currentRevision = null;
+    let currentUpdatedAt = 0;
+    let baseData = emptyData();
+    let syncWriteTimer = null;
+    let syncErrorReported = false;
+    // Storage reads and writes of this tab run one at a time, in order
+    let storageQueue = Promise.resolve();
+    let pendingSaves = 0;
+    // Newest record another tab wrote while saves of ours were queued, applied once they are done
+    let pendingIncomingRecord = null;
+    // This tab's last save: the data it was made on, the data it wrote and the revision written.
+    // A record from another tab written without having seen that revision gets it merged in again.
+    let lastSave = null;
+    let dataChangedListener = () => {};
+    let syncErrorListener = () => {};
+
+    function emptyData() {
+        return { foldersData: [], bookmarkChats: [], tags: [], trash: [] };
+    }
+
+    function cloneData(data) {
+        return JSON.parse(JSON.stringify(data));
+    }
+
+    function enqueueStorageTask(task) {
+        const run = storageQueue.then(task);
+        storageQueue = run.catch(() => {});
+        return run;
+    }
+
+    async function loadSettings() {
+        try {
+            const stored = await chrome.storage.local.get(SETTINGS_KEY);
+            Object.assign(settings, DEFAULT_SETTINGS, stored[SETTINGS_KEY]);
+        } catch (error) {
+            console.error('Failed to load settings:', error);
+        }
+        return settings;
+    }
+
+    async function saveSettings(changes) {
+        Object.assign(settings, changes);
+        try {
+            await chrome.storage.local.set({ [SETTINGS_KEY]: settings });
+        } catch (error) {
+            console.error('Failed to save settings:', error);
+        }
+        return settings;
+    }
+
+    function readLegacyData() {
+        try {
+            const data = localStorage.getItem(LOCAL_STORAGE_KEY);
+            return data ? JSON.parse(data) : null;
+        } catch (error) {
+            console.error('Failed to read legacy data:', error);
+            return null;
+        }
+    }
+
+    async function readLocal() {
+        return (await chrome.storage.local.get(STORAGE_KEY))[STORAGE_KEY] || null;
+    }
+
+    /**
+     * Stores data as a new record. baseRevision names the record it was written over, which
+     * tells other tabs whether it includes their latest save.
+     */
+    async function writeLocal(data, revision = generateId('rev'), updatedAt = Date.now(), baseRevision = currentRevision) {
+        // Store a detached copy so later in-memory edits can't leak into a pending write
+        const record = { version: DATA_VERSION, data: cloneData(data), revision, updatedAt, baseRevision };
+        currentRevision = revision;
+        currentUpdatedAt = updatedAt;
+        baseData = record.data;
+        await chrome.storage.local.set({ [STORAGE_KEY]: record });
+        return record;
+    }
+
+    // Merges a flat list of { id, ... } records (such as tag definitions) like mergeData merges chats.
+    function mergeListById(base, ours, theirs) {
+        const baseById = new Map(base.map((item) => [item.id, item]));
+        const ourIds = new Set(ours.map((item) => item.id));
+        // Drop what we deleted
+        const result = cloneData(theirs).filter((item) => !baseById.has(item.id) || ourIds.has(item.id));
+        ours.forEach((item) => {
+            const existing = result.find((r) => r.id === item.id);
+            const baseItem = baseById.get(item.id);
+            if (!baseItem) {
+                if (!existing) result.push(cloneData(item));
+            } else if (existing && JSON.stringify(item) !== JSON.stringify(baseItem)) {
+                Object.assign(existing, cloneData(item));
+            }
+        });
+        return result;
+    }
+
+    const BOOKMARKS_CONTAINER_ID = 'bookmarks';
+    const FOLDER_CHILD_KEYS = ['chats', 'folders'];
+
+    function folderProperties(folder) {
+        return Object.fromEntries(
+            Object.entries(folder).filter(([key]) => !FOLDER_CHILD_KEYS.includes(key))
+        );
+    }
+
+    // Flattens data into lookups by folder id and by container + chat id, plus the id order of every list.
+    function indexData(data) {
+        const index = { folders: new Map(), chats: new Map(), order: new Map() };
+        const indexChats = (chats, containerId) => {
+            index.order.set(`chats:${containerId}`, {
+                type: 'chats',
+                ownerId: containerId,
+                ids: chats.map((chat) => chat.id),
+            });
+            chats.forEach((chat) => {
+                index.chats.set(`${containerId}/${chat.id}`, { chat, containerId });
+            });
+        };
+        const indexFolders = (folders, parentId) => {
+            index.order.set(`folders:${parentId}`, {
+                type: 'folders',
+                ownerId: parentId,
+                ids: folders.map((folder) => folder.id),
+            });
+            folders.forEach((folder) => {
+                index.folders.set(folder.id, { folder, parentId });
+                indexChats(folder.chats || [], folder.id);
+                indexFolders(folder.folders || [], folder.id);
+            });
+        };
+        indexFolders(data.foldersData || [], null);
+        indexChats(data.bookmarkChats || [], BOOKMARKS_CONTAINER_ID);
+        return index;
+    }
+
+    /**
+     * Three-way merge for when another tab saved while this one had edits in flight:
+     * replays the changes between `base` and `ours` on top of `theirs`.
+     * Deletions win over edits, and items only the other tab added are kept.
+     */
+    function mergeData(base, ours, theirs) {
+        const result = cloneData(theirs);
+        const baseIndex = indexData(base);
+        const ourIndex = indexData(ours);
+        let resultIndex = indexData(result);
+        const changed = (a, b) => JSON.stringify(a) !== JSON.stringify(b);
+
+        const folderList = (parentId) => {
+            if (parentId === null) return result.foldersData;
+            const entry = resultIndex.folders.get(parentId);
+            return entry ? entry.folder.folders : null;
+        };
+        const chatList = (containerId) => {
+            if (containerId === BOOKMARKS_CONTAINER_ID) return result.bookmarkChats;
+            const entry = resultIndex.folders.get(containerId);
+            return entry ? entry.folder.chats : null;
+        };
+        const detachFolder = (entry) => {
+            const siblings = folderList(entry.parentId);
+            const position = siblings ? siblings.indexOf(entry.folder) : -1;
+            if (position !== -1) siblings.splice(position, 1);
+        };
+        const isWithin = (folderId, ancestorId) => {
+            for (let id = folderId; id !== null; ) {
+                if (id === ancestorId) return true;
+                const entry = resultIndex.folders.get(id);
+                id = entry ? entry.parentId : null;
+            }
+            return false;
+        };
+
+        // Folders we deleted
+        baseIndex.folders.forEach((entry, folderId) => {
+            if (!ourIndex.folders.has(folderId) && resultIndex.folders.has(folderId)) {
+                detachFolder(resultIndex.folders.get(folderId));
+            }
+        });
+        resultIndex = indexData(result);
+
+        // Folders we created, renamed, pinned or moved; parents are visited before their children
+        ourIndex.folders.forEach(({ folder, parentId }, folderId) => {
+            const baseEntry = baseIndex.folders.get(folderId);
+            const existing = resultIndex.folders.get(folderId);
+            if (!baseEntry) {
+                if (existing) return;
+                const parentExists = parentId === null || resultIndex.folders.has(parentId);
+                const copy = { ...cloneData(folderProperties(folder)), chats: [], folders: [] };
+                folderList(parentExists ? parentId : null).push(copy);
+                resultIndex.folders.set(folderId, { folder: copy, parentId: parentExists ? parentId : null });
+                return;
+            }
+            // Deleted in the other tab: the deletion wins
+            if (!existing) return;
+            if (changed(folderProperties(folder), folderProperties(baseEntry.folder))) {
+                Object.assign(existing.folder, cloneData(folderProperties(folder)));
+            }
+            if (parentId !== baseEntry.parentId) {
+                const destination = folderList(parentId);
+                if (destination && (parentId === null || !isWithin(parentId, folderId))) {
+                    detachFolder(existing);
+                    destination.push(existing.folder);
+                    existing.parentId = parentId;
+                }
+            }
+        });
+        resultIndex = indexData(result);
+
+        // Chats we removed, added or edited
+        baseIndex.chats.forEach(({ chat, containerId }, key) => {
+            if (ourIndex.chats.has(key)) return;
+            const list = chatList(containerId);
+            const position = list ? list.findIndex((c) => c.id === chat.id) : -1;
+            if (position !== -1) list.splice(position, 1);
+        });
+        ourIndex.chats.forEach(({ chat, containerId }, key) => {
+            const list = chatList(containerId);
+            if (!list) return;
+            const existing = list.find((c) => c.id === chat.id);
+            const baseEntry = baseIndex.chats.get(key);
+            if (!baseEntry) {
+                if (!existing) list.push(cloneData(chat));
+            } else if (existing && changed(chat, baseEntry.chat)) {
+                Object.assign(existing, cloneData(chat));
+            }
+        });
+        resultIndex = indexData(result);
+
+        // Lists we reordered follow our order; items only the other tab knows go last
+        ourIndex.order.forEach(({ type, ownerId, ids }, listKey) => {
+            const baseOrder = baseIndex.order.get(listKey);
+            if (baseOrder && !changed(ids, baseOrder.ids)) return;
+            const list = type === 'folders' ? folderList(ownerId) : chatList(ownerId);
+            if (!list) return;
+            const rank = new Map(ids.map((id, position) => [id, position]));
+            const ranked = list.map((item, position) => ({
+                item,
+                rank: rank.has(item.id) ? rank.get(item.id) : ids.length + position,
+            }));
+            ranked.sort((a, b) => a.rank - b.rank);
+            list.splice(0, list.length, ...ranked.map(({ item }) => item));
+        });
+
+        result.tags = mergeListById(base.tags || [], ours.tags || [], result.tags || []);
+        result.trash = mergeListById(base.trash || [], ours.trash || [], result.trash || []);
+
+        return result;
+    }
+
+    // Splits a string into pieces whose JSON encoding fits one chrome.storage.sync item.
+    function splitIntoChunks(str) {
+        const encoder = new TextEncoder();
+        const chunks = [];
+        let start = 0;
+        while (start < str.length) {
+            let end = Math.min(str.length, start + SYNC_CHUNK_CHARS);
+            while (encoder.encode(JSON.stringify(str.slice(start, end))).length > SYNC_CHUNK_BYTES) {
+                end = start + Math.floor((end - start) / 2);
+            }
+            // Never split a surrogate pair across chunks
+            const lastCode = str.charCodeAt(end - 1);
+            if (end < str.length && lastCode >= 0xd800 && lastCode <= 0xdbff) end -= 1;
+            chunks.push(str.slice(start, end));
+            start = end;
+        }
+        return chunks;
+    }
+
+    /**
+     * Sync delivers the meta and every chunk separately, so a read can see parts of two writes.
+     * Each chunk carries the revision it was written with, and the read is discarded (null)
+     * unless they all match the meta's; the rest arrives with later change events.
+     */
+    async function readSyncedData() {
+        const { [SYNC_META_KEY]: meta } = await chrome.storage.sync.get(SYNC_META_KEY);
+        if (!meta) return null;
+        const keys = Array.from({ length: meta.chunkCount }, (_, index) => `${SYNC_CHUNK_PREFIX}${index}`);
+        const chunks = await chrome.storage.sync.get(keys);
+        // Versions before revisioned chunks stored bare strings
+        const textOf = (chunk) => {
+            if (!meta.revisionedChunks) return typeof chunk === 'string' ? chunk : null;
+            return isPlainObject(chunk) && chunk.revision === meta.revision && typeof chunk.text === 'string'
+                ? chunk.text
+                : null;
+        };
+        const texts = keys.map((key) => textOf(chunks[key]));
+        if (texts.some((text) => text === null)) return null;
+        const { data } = normalizeData(JSON.parse(texts.join('')), meta.version);
+        return { data, revision: meta.revision, updatedAt: meta.updatedAt };
+    }
+
+    async function writeSyncedData(record) {
+        const chunks = splitIntoChunks(JSON.stringify(record.data));
+        const items = {
+            [SYNC_META_KEY]: {
+                version: DATA_VERSION,
+                chunkCount: chunks.length,
+                revision: record.revision,
+                updatedAt: record.updatedAt,
+                revisionedChunks: true,
+            },
+        };
+        chunks.forEach((chunk, index) => {
+            items[`${SYNC_CHUNK_PREFIX}${index}`] = { revision: record.revision, text: chunk };
+        });
+        await chrome.storage.sync.set(items);
+
+        const staleKeys = Object.keys(await chrome.storage.sync.get(null)).filter(
+            (key) =>
+                key.startsWith(SYNC_CHUNK_PREFIX) &&
+                Number(key.slice(SYNC_CHUNK_PREFIX.length)) >= chunks.length
+        );
+        if (staleKeys.length > 0) {
+            await chrome.storage.sync.remove(staleKeys);
+        }
+    }
+
+    function scheduleSyncWrite(record) {
+        clearTimeout(syncWriteTimer);
+        syncWriteTimer = setTimeout(() => {
+            writeSyncedData(record).catch((error) => {
+                console.error('Failed to sync data:', error);
+                if (!syncErrorReported) {
+                    syncErrorReported = true;
+                    syncErrorListener('My Folders could not sync your data across devices (it may be over the sync storage limit). It is still saved on this device.');
+                }
+            });
+        }, SYNC_WRITE_DELAY);
+    }
+
+    /**
+     * Turns on syncing. If another device has synced data already, askToReplace() decides
+     * whether it replaces currentData on this device (then it is returned, for the caller to
+     * show) or currentData is synced to the other devices instead (then null is returned).
+     * askToReplace may answer with a promise, e.g. from an in-page dialog.
+     */
+    async function enableSync(currentData, askToReplace) {
+        let remote = null;
+        try {
+            remote = await readSyncedData();
+        } catch (error) {
+            console.error('Failed to read synced data:', error);
+        }
+        await saveSettings({ syncEnabled: true });
+        if (remote && await askToReplace()) {
+            await writeLocal(remote.data, remote.revision, remote.updatedAt);
+            return remote.data;
+        }
+        saveData(currentData);
+        return null;
+    }
+
+    // Reading, merging and writing the record isn't atomic across tabs, so a save is checked
+    // afterwards and done again (at most this many times) if another tab wrote in between.
+    const MAX_SAVE_ATTEMPTS = 5;
+
+    function saveData(data) {
+        // The edit was made on top of whatever this tab last loaded, wrote or received
+        const base = { revision: currentRevision, data: baseData };
+        const snapshot = cloneData(data);
+        pendingSaves++;
+        return enqueueStorageTask(async () => {
+            let merged = false;
+            let record = null;
+            for (let attempt = 1; attempt <= MAX_SAVE_ATTEMPTS; attempt++) {
+                const stored = await readLocal();
+                // Another tab (or an earlier save of ours) wrote since: merge instead of overwriting it
+                const conflict = Boolean(stored) && stored.revision !== base.revision;
+                merged = merged || conflict;
+                const newData = conflict ? mergeData(base.data, snapshot, stored.data) : snapshot;
+                record = await writeLocal(newData, undefined, undefined, stored ? stored.revision : null);
+                const written = await readLocal();
+                if (!written || written.revision === record.revision) break;
+            }
+            lastSave = { base: base.data, ours: snapshot, revision: record.revision };
+            if (settings.syncEnabled) scheduleSyncWrite(record);
+            if (merged) dataChangedListener(cloneData(record.data));
+        })
+            .catch((error) => {
+                console.error('Failed to save data:', error);
+            })
+            .finally(() => {
+                pendingSaves--;
+                if (pendingSaves === 0 && pendingIncomingRecord) {
+                    const record = pendingIncomingRecord;
+                    pendingIncomingRecord = null;
+                    applyIncomingRecord(record);
+                }
+            });
+    }
+
+    /**
+     * Takes on a record another tab wrote. If it was written over something other than our
+     * last save, that tab never saw the save and dropped it, so the save is merged in again.
+     */
+    function applyIncomingRecord(record) {
+        // Our own write, or one older than what we already have
+        if (record.revision === currentRevision || record.updatedAt <= currentUpdatedAt) return;
+        const overwroteOurSave = Boolean(lastSave) && currentRevision === lastSave.revision &&
+            record.baseRevision !== lastSave.revision;
+        currentRevision = record.revision;
+        currentUpdatedAt = record.updatedAt;
+        baseData = cloneData(record.data);
+        if (!overwroteOurSave) {
+            dataChangedListener(cloneData(record.data));
+            return;
+        }
+        const restored = mergeData(lastSave.base, lastSave.ours, record.data);
+        dataChangedListener(cloneData(restored));
+        saveData(restored);
+    }
+
+    async function loadData() {
+        await loadSettings();
+        try {
+            let record = await readLocal();
+
+            if (!record) {
+                const legacyData = readLegacyData();
+                if (legacyData) {
+                    record = await writeLocal(legacyData);
+                    localStorage.removeItem(LOCAL_STORAGE_KEY);
+                }
+            }
+
+            if (settings.syncEnabled) {
+                try {
+                    const remote = await readSyncedData();
+                    if (remote && (!record || remote.updatedAt > record.updatedAt)) {
+                        record = await writeLocal(remote.data, remote.revision, remote.updatedAt);
+                    } else if (record && (!remote || record.updatedAt > remote.updatedAt)) {
+                        scheduleSyncWrite(record);
+                    }
+                } catch (error) {
+                    console.error('Failed to read synced data:', error);
+                }
+            }
+
+            if (!record) {
+                return emptyData();
+            }
+
+            // Upgrade data saved by older versions, and repair anything malformed, once
+            const { data, errors } = normalizeData(record.data, record.version);
+            if (errors.length > 0) {
+                console.warn('My Folders repaired saved data:', errors);
+            }
+            if (record.version !== DATA_VERSION || JSON.stringify(data) !== JSON.stringify(record.data)) {
+                record = await writeLocal(data);
+                if (settings.syncEnabled) scheduleSyncWrite(record);
+            }
+            currentRevision = record.revision;
+            currentUpdatedAt = record.updatedAt;
+            baseData = cloneData(record.data);
+            return record.data;
+        } catch (error) {
+            console.error('Failed to load data:', error);
+            return emptyData();
+        }
+    }
+
+    // Calls listener(message) the first time syncing fails, for the page to show the message its own way.
+    function onSyncError(listener) {
+        syncErrorListener = listener;
+    }
+
+    /**
+     * Calls listener(data) whenever another tab, or another device through chrome.storage.sync,
+     * changes the saved data, and when a save of ours had to be merged with such a change.
+     */
+    function onDataChanged(listener) {
+        dataChangedListener = listener;
+        chrome.storage.onChanged.addListener((changes, areaName) => {
+            if (areaName === 'local' && changes[STORAGE_KEY]) {
+                const record = changes[STORAGE_KEY].newValue;
+                if (!record) return;
+                if (pendingSaves > 0) {
+                    // Edits of ours are queued: keep the newest change for when they are written
+                    if (!pendingIncomingRecord || record.updatedAt > pendingIncomingRecord.updatedAt) {
+                        pendingIncomingRecord = record;
+                    }
+                    return;
+                }
+                applyIncomingRecord(record);
+            } else if (areaName === 'sync' && settings.syncEnabled) {
+                // The meta or a chunk: whichever arrives last completes the write
+                const syncKeys = Object.keys(changes).filter(
+                    (key) => key === SYNC_META_KEY || key.startsWith(SYNC_CHUNK_PREFIX)
+                );
+                if (syncKeys.length === 0) return;
+                const meta = changes[SYNC_META_KEY] && changes[SYNC_META_KEY].newValue;
+                if (meta && (meta.revision === currentRevision || meta.updatedAt <= currentUpdatedAt)) return;
+                // Queued behind our own saves, so it never lands between a read and a write of ours
+                enqueueStorageTask(async () => {
+                    const remote = await readSyncedData();
+                    if (!remote || remote.revision === currentRevision || remote.updatedAt <= currentUpdatedAt) return;
+                    await writeLocal(remote.data, remote.revision, remote.updatedAt);
+                    listener(cloneData(remote.data));
+                }).catch((error) => {
+                    console.error('Failed to apply synced data:', error);
+                });
+            }
+        });
+    }
+
+    const settingsListeners = [];
+
+    // Calls listener(settings) after the settings changed here or in another tab or page.
+    function onSettingsChanged(listener) {
+        settingsListeners.push(listener);
+    }
+
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+        if (areaName === 'local' && changes[SETTINGS_KEY]) {
+            Object.assign(settings, DEFAULT_SETTINGS, changes[SETTINGS_KEY].newValue);
+            settingsListeners.forEach((listener) => listener(settings));
+        }
+    });
+
+    function sanitizeString(str) {
+        const tempDiv = document.createElement('div');
+        tempDiv.textContent = str;
+        return tempDiv.innerHTML;
+    }
+
+    // Conversation pages live at /c/<id>, optionally under a custom GPT or project (/g/<gpt>/c/<id>).
+    const CONVERSATION_PATH_PATTERN = /\/c\/([A-Za-z0-9-]+)/;
+
+    function getConversationId(href) {
+        try {
+            const match = new URL(href, CHATGPT_ORIGIN).pathname.match(CONVERSATION_PATH_PATTERN);
+            return match ? match[1] : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Stable key for a saved chat: its conversation id, or the bare path for non-conversation pages.
+    function getChatId(href) {
+        const conversationId = getConversationId(href);
+        if (conversationId) return conversationId;
+        try {
+            return `path:${new URL(href, CHATGPT_ORIGIN).pathname}`;
+        } catch (error) {
+            return `path:${href}`;
+        }
+    }
+
+    // Drops query strings and hash fragments so the same chat always gets the same link.
+    function normalizeChatHref(href) {
+        try {
+            const url = new URL(href, CHATGPT_ORIGIN);
+            return `${url.origin}${url.pathname}`;
+        } catch (error) {
+            return href;
+        }
+    }
+
+    // Version of the saved data layout. Exports and stored records carry it so that data from
+    // older versions can be upgraded by DATA_MIGRATIONS; bump it together with a new migration.
+    const DATA_VERSION = 7;
+    const EXPORT_FORMAT = 'my-folders';
+    const HEX_COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+    function isPlainObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    // Visits every folder in data that hasn't been validated yet, skipping malformed entries.
+    function walkRawFolders(folders, callback) {
+        if (!Array.isArray(folders)) return;
+        folders.forEach((folder) => {
+            if (!isPlainObject(folder)) return;
+            callback(folder);
+            walkRawFolders(folder.folders, callback);
+        });
+    }
+
+    function walkRawChats(data, callback) {
+        const visit = (chats) => {
+            if (!Array.isArray(chats)) return;
+            chats.filter(isPlainObject).forEach(callback);
+        };
+        visit(data.bookmarkChats);
+        walkRawFolders(data.foldersData, (folder) => visit(folder.chats));
+    }
+
+    /**
+     * Each step upgrades data of the previous version to `version`. Steps only fill in what is
+     * missing, so exports made before the format was versioned can safely go through all of them.
+     */
+    const DATA_MIGRATIONS = [
+        {
+            // Folder ids, pinning and creation order
+            version: 2,
+            migrate(data) {
+                const fill = (item) => {
+                    if (typeof item.pinned === 'undefined') item.pinned = false;
+                    if (typeof item.pinnedAt === 'undefined') item.pinnedAt = null;
+                    if (typeof item.creationIndex === 'undefined') item.creationIndex = Date.now();
+                };
+                walkRawFolders(data.foldersData, (folder) => {
+                    if (typeof folder.id === 'undefined') folder.id = generateId('folder');
+                    fill(folder);
+                });
+                walkRawChats(data, fill);
+            },
+        },
+        {
+            // Sub-folders, and chats keyed by conversation id instead of name + raw link
+            version: 3,
+            migrate(data) {
+                walkRawFolders(data.foldersData, (folder) => {
+                    if (typeof folder.folders === 'undefined') folder.folders = [];
+                });
+                walkRawChats(data, (chat) => {
+                    // Unsafe links are left as they are for validateData to reject
+                    if (typeof chat.href !== 'string' || !isSafeChatHref(chat.href)) return;
+                    if (typeof chat.id === 'undefined') chat.id = getChatId(chat.href);
+                    chat.href = normalizeChatHref(chat.href);
+                });
+            },
+        },
+        {
+            // Tags and the Trash
+            version: 4,
+            migrate(data) {
+                if (typeof data.tags === 'undefined') data.tags = [];
+                if (typeof data.trash === 'undefined') data.trash = [];
+                if (Array.isArray(data.tags)) {
+                    data.tags.filter(isPlainObject).forEach((tag, index) => {
+                        if (typeof tag.id === 'undefined') tag.id = generateId('tag');
+                        if (typeof tag.color === 'undefined') tag.color = TAG_COLORS[index % TAG_COLORS.length];
+                    });
+                }
+                walkRawChats(data, (chat) => {
+                    if (typeof chat.tags === 'undefined') chat.tags = [];
+                });
+            },
+        },
+        {
+            // Automatic filing rules
+            version: 5,
+            migrate(data) {
+                walkRawFolders(data.foldersData, (folder) => {
+                    if (typeof folder.rules === 'undefined') folder.rules = [];
+                });
+            },
+        },
+        {
+            // Folder colors and icons
+            version: 6,
+            migrate(data) {
+                walkRawFolders(data.foldersData, (folder) => {
+                    if (typeof folder.color === 'undefined') folder.color = null;
+                    if (typeof folder.icon === 'undefined') folder.icon = null;
+                });
+            },
+        },
+        {
+            // Chat colors
+            version: 7,
+            migrate(data) {
+                walkRawChats(data, (chat) => {
+                    if (typeof chat.color === 'undefined') chat.color = null;
+                });
+            },
+        },
+    ];
+
+    // Kinds of automatic filing rule a folder can have, as { id, type, value }
+    const RULE_TYPES = {
+        keyword: 'Title contains',
+        regex: 'Title matches regex',
+        urlPrefix: 'Link starts with',
+    };
+
+    // Returns why a rule can't be used, or null if it is fine.
+    function checkRule(type, value) {
+        if (!Object.prototype.hasOwnProperty.call(RULE_TYPES, type)) return 'Unknown kind of rule.';
+        if (typeof value !== 'string' || !value.trim()) return 'The rule needs a value.';
+        if (type === 'regex') {
+            try {
+                new RegExp(value, 'i');
+            } catch (error) {
+                return `Invalid regular expression: ${error.message}`;
+            }
+        }
+        return null;
+    }
+
+    // Compiled regex rules by their source, so matching doesn't compile them again for every chat
+    const ruleRegexCache = new Map();
+
+    function getRuleRegex(value) {
+        if (!ruleRegexCache.has(value)) ruleRegexCache.set(value, new RegExp(value, 'i'));
+        return ruleRegexCache.get(value);
+    }
+
+    // Keywords and regexes are matched against the title ignoring case; link prefixes may be
+    // a full URL or just a path such as /g/g-abc123 (a custom GPT or project).
+    function matchesRule(rule, title, href) {
+        if (rule.type === 'keyword') {
+            return title.toLowerCase().includes(rule.value.toLowerCase());
+        }
+        if (rule.type === 'regex') {
+            return getRuleRegex(rule.value).test(title);
+        }
+        if (rule.type === 'urlPrefix') {
+            const url = new URL(href, CHATGPT_ORIGIN);
+            return url.href.startsWith(rule.value) || url.pathname.startsWith(rule.value);
+        }
+        return false;
+    }
+
+    // Whether value (already trimmed) is exactly one emoji, as a folder icon must be.
+    function isSingleEmoji(value) {
+        const graphemes = Array.from(graphemeSegmenter.segment(value));
+        return graphemes.length === 1 && EMOJI_PATTERN.test(graphemes[0].segment);
+    }
+
+    // Only web links may be saved: anything else (javascript:, data:, ...) would run or load
+    // arbitrary content when the chat is clicked.
+    function isSafeChatHref(href) {
+        try {
+            return ['http:', 'https:'].includes(new URL(href, CHATGPT_ORIGIN).protocol);
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Checks data of the current version entry by entry. Entries that can be repaired are
+     * (a missing name, a bad pin flag, ...), the others are dropped. Returns { data, errors }
+     * with the clean copy and a message for each entry changed or dropped.
+     */
+    function validateData(data) {
+        const errors = [];
+        const valid = emptyData();
+        const folderIds = new Set();
+        const now = Date.now();
+
+        const rawTags = Array.isArray(data.tags) ? data.tags : [];
+        if (!Array.isArray(data.tags)) errors.push('Tags: not a list, ignored.');
+        rawTags.forEach((tag, index) => {
+            const label = `Tag ${index + 1}`;
+            if (!isPlainObject(tag) || typeof tag.name !== 'string' || !tag.name.trim()) {
+                errors.push(`${label}: has no name, dropped.`);
+                return;
+            }
+            if (typeof tag.id !== 'string' || valid.tags.some((t) => t.id === tag.id)) {
+                errors.push(`${label} "${tag.name}": missing or duplicate id, dropped.`);
+                return;
+            }
+            let color = tag.color;
+            if (typeof color !== 'string' || !HEX_COLOR_PATTERN.test(color)) {
+                color = TAG_COLORS[index % TAG_COLORS.length];
+                errors.push(`${label} "${tag.name}": invalid color, reset.`);
+            }
+            valid.tags.push({ id: tag.id, name: tag.name, color });
+        });
+        const tagIds = new Set(valid.tags.map((tag) => tag.id));
+
+        const validateOrder = (item, clean, label) => {
+            clean.pinned = item.pinned === true;
+            if (typeof item.pinned !== 'boolean') errors.push(`${label}: invalid pinned flag, unpinned.`);
+            clean.pinnedAt = clean.pinned && Number.isFinite(item.pinnedAt) ? item.pinnedAt : null;
+            if (clean.pinned && clean.pinnedAt === null) clean.pinnedAt = now;
+            clean.creationIndex = Number.isFinite(item.creationIndex) ? item.creationIndex : now;
+            if (!Number.isFinite(item.creationIndex)) errors.push(`${label}: invalid creation time, reset.`);
+        };
+
+        const validateName = (item, label, fallback) => {
+            if (typeof item.name === 'string' && item.name.trim()) return item.name;
+            if (typeof item.name === 'number') return String(item.name);
+            errors.push(`${label}: missing name, renamed to "${fallback}".`);
+            return fallback;
+        };
+
+        const validateChat = (chat, label) => {
+            if (!isPlainObject(chat)) {
+                errors.push(`${label}: not a chat entry, dropped.`);
+                return null;
+            }
+            if (typeof chat.href !== 'string' || !chat.href.trim()) {
+                errors.push(`${label}: has no link, dropped.`);
+                return null;
+            }
+            if (!isSafeChatHref(chat.href)) {
+                errors.push(`${label}: link "${chat.href.slice(0, 40)}" is not a web address, dropped.`);
+                return null;
+            }
+            // The id always comes from the link: duplicates are found by it, so a stored id that
+            // disagrees could let copies of one conversation through or merge two different ones
+            const clean = {
+                id: getChatId(chat.href),
+                name: validateName(chat, label, 'Untitled chat'),
+                href: normalizeChatHref(chat.href),
+            };
+            if (chat.id !== undefined && chat.id !== clean.id) {
+                errors.push(`${label}: id doesn't match its link, replaced.`);
+            }
+            validateOrder(chat, clean, label);
+            if (!Array.isArray(chat.tags)) errors.push(`${label}: invalid tags, cleared.`);
+            // References to tags that no longer exist are dropped silently
+            clean.tags = (Array.isArray(chat.tags) ? chat.tags : []).filter((tagId) => tagIds.has(tagId));
+            clean.color = null;
+            if (typeof chat.color === 'string' && HEX_COLOR_PATTERN.test(chat.color)) {
+                clean.color = chat.color;
+            } else if (chat.color !== null && typeof chat.color !== 'undefined') {
+                errors.push(`${label}: invalid color, reset.`);
+            }
+            return clean;
+        };
+
+        // Keeps the first entry per chat id; URL variants of one conversation collapse into it.
+        const validateChats = (chats, path) => {
+            if (!Array.isArray(chats)) {
+                errors.push(`${path}: chats are not a list, cleared.`);
+                return [];
+            }
+            const seen = new Map();
+            const clean = [];
+            chats.forEach((chat, index) => {
+                const name = isPlainObject(chat) && typeof chat.name === 'string' ? ` "${chat.name}"` : '';
+                const label = `${path}, chat ${index + 1}${name}`;
+                const result = validateChat(chat, label);
+                if (!result) return;
+                if (seen.has(result.id)) {
+                    errors.push(`${label}: duplicate of chat "${seen.get(result.id).name}", dropped.`);
+                    return;
+                }
+                seen.set(result.id, result);
+                clean.push(result);
+            });
+            return clean;
+        };
+
+        const validateFolder = (folder, label, path) => {
+            if (!isPlainObject(folder)) {
+                errors.push(`${label}: not a folder entry, dropped.`);
+                return null;
+            }
+            const name = validateName(folder, label, 'Untitled folder');
+            const folderPath = path ? `${path} / ${name}` : name;
+            let id = folder.id;
+            if (typeof id !== 'string' || !id || folderIds.has(id)) {
+                if (folderIds.has(id)) errors.push(`${label}: duplicate id, given a new one.`);
+                id = generateId('folder');
+            }
+            folderIds.add(id);
+            const clean = { id, name };
+            validateOrder(folder, clean, label);
+            clean.chats = validateChats(folder.chats, folderPath);
+            clean.folders = validateFolders(folder.folders, folderPath);
+            clean.rules = validateRules(folder.rules, folderPath);
+            clean.color = null;
+            if (typeof folder.color === 'string' && HEX_COLOR_PATTERN.test(folder.color)) {
+                clean.color = folder.color;
+            } else if (folder.color !== null && typeof folder.color !== 'undefined') {
+                errors.push(`${label}: invalid color, reset.`);
+            }
+            clean.icon = null;
+            if (typeof folder.icon === 'string' && isSingleEmoji(folder.icon.trim())) {
+                clean.icon = folder.icon.trim();
+            } else if (folder.icon !== null && typeof folder.icon !== 'undefined') {
+                errors.push(`${label}: invalid icon, reset.`);
+            }
+            return clean;
+        };
+
+        const validateRules = (rules, path) => {
+            if (!Array.isArray(rules)) {
+                errors.push(`${path}: rules are not a list, cleared.`);
+                return [];
+            }
+            return rules.filter((rule, index) => {
+                const problem = isPlainObject(rule) ? checkRule(rule.type, rule.value) : 'Not a rule.';
+                if (problem) errors.push(`${path}, rule ${index + 1}: ${problem} Dropped.`);
+                return !problem;
+            }).map((rule) => ({
+                id: typeof rule.id === 'string' && rule.id ? rule.id : generateId('rule'),
+                type: rule.type,
+                value: rule.value,
+            }));
+        };
+
+        const validateFolders = (folders, path) => {
+            if (!Array.isArray(folders)) {
+                errors.push(`${path || 'Folders'}: sub-folders are not a list, cleared.`);
+                return [];
+            }
+            return folders
+                .map((folder, index) => {
+                    const name = isPlainObject(folder) && typeof folder.name === 'string' ? ` "${folder.name}"` : '';
+                    return validateFolder(folder, `${path ? `${path}, folder` : 'Folder'} ${index + 1}${name}`, path);
+                })
+                .filter(Boolean);
+        };
+
+        valid.foldersData = validateFolders(data.foldersData, '');
+        valid.bookmarkChats = validateChats(data.bookmarkChats, 'Bookmarks');
+
+        const rawTrash = Array.isArray(data.trash) ? data.trash : [];
+        if (!Array.isArray(data.trash)) errors.push('Trash: not a list, emptied.');
+        rawTrash.forEach((entry, index) => {
+            const label = `Trash, item ${index + 1}`;
+            if (!isPlainObject(entry) || !['chat', 'folder'].includes(entry.type)) {
+                errors.push(`${label}: not a chat or folder, dropped.`);
+                return;
+            }
+            const item = entry.type === 'chat'
+                ? validateChat(entry.item, label)
+                : validateFolder(entry.item, label, 'Trash');
+            if (!item) return;
+            valid.trash.push({
+                id: typeof entry.id === 'string' && entry.id ? entry.id : generateId('trash'),
+                type: entry.type,
+                item,
+                originFolderId: typeof entry.originFolderId === 'string' ? entry.originFolderId : null,
+                originPath: Array.isArray(entry.originPath) ? entry.originPath.filter((name) => typeof name === 'string') : [],
+                deletedAt: Number.isFinite(entry.deletedAt) ? entry.deletedAt : now,
+            });
+        });
+
+        return { data: valid, errors };
+    }
+
+    /**
+     * Upgrades data saved by the given version (1 when unknown) to DATA_VERSION and validates it.
+     * Returns { data, errors } like validateData; the input is left untouched.
+     */
+    function normalizeData(data, version = 1) {
+        const upgraded = cloneData(data);
+        DATA_MIGRATIONS.filter((migration) => migration.version > version).forEach((migration) => {
+            migration.migrate(upgraded);
+        });
+        return validateData(upgraded);
+    }
+
+    // Wraps data in the versioned envelope used by export files.
+    function createExport(data) {
+        return {
+            format: EXPORT_FORMAT,
+            version: DATA_VERSION,
+            exportedAt: new Date().toISOString(),
+            data,
+        };
+    }
+
+    /**
+     * Reads an export file: either the versioned envelope or the bare data of older versions.
+     * Throws an Error with a readable message when the file can't be used at all, otherwise
+     * returns { data, errors } for the upgraded, validated data.
+     */
+    function readExport(text) {
+        let parsed;
+        try {
+            parsed = JSON.parse(text);
+        } catch (error) {
+            throw new Error('The file is not valid JSON.');
+        }
+        let data = parsed;
+        let version = 1;
+        if (isPlainObject(parsed) && parsed.format === EXPORT_FORMAT) {
+            ({ data, version } = parsed);
+            if (!Number.isInteger(version) || version < 1) {
+                throw new Error('The file has an unknown format version.');
+            }
+            if (version > DATA_VERSION) {
+                throw new Error('The file was exported by a newer version of My Folders. Update the extension to import it.');
+            }
+        }
+        if (!isPlainObject(data) || !Array.isArray(data.foldersData) || !Array.isArray(data.bookmarkChats)) {
+            throw new Error('The file does not contain My Folders data.');
+        }
+        return normalizeData(data, version);
+    }
+
+    /**
+     * Reads conversations.json from ChatGPT's "Export data" archive into a list of
+     * { id, title, createdAt } sorted oldest first. Throws an Error with a readable message
+     * when the file isn't such an export.
+     */
+    function readChatGptExport(text) {
+        let parsed;
+        try {
+            parsed = JSON.parse(text);
+        } catch (error) {
+            throw new Error('The file is not valid JSON.');
+        }
+        if (!Array.isArray(parsed)) {
+            throw new Error('This is not a conversations.json file from a ChatGPT data export.');
+        }
+        const conversations = parsed
+            .filter(isPlainObject)
+            .map((conversation) => ({
+                id: conversation.conversation_id || conversation.id,
+                title: typeof conversation.title === 'string' && conversation.title.trim()
+                    ? conversation.title.trim()
+                    : 'Untitled chat',
+                createdAt: Number.isFinite(conversation.create_time) ? conversation.create_time * 1000 : Date.now(),
+            }))
+            // Conversation ids are UUIDs; anything else can't be turned into a link
+            .filter((conversation) => typeof conversation.id === 'string' && /^[A-Za-z0-9-]+$/.test(conversation.id));
+        if (conversations.length === 0) {
+            throw new Error('No conversations were found in the file.');
+        }
+        return conversations.sort((a, b) => a.createdAt - b.createdAt);
+    }
+
+    /**
+     * Parses auto-filing rules typed one per line as "Folder name: keyword, keyword".
+     * Returns [{ folderName, keywords }] with lower-cased keywords; malformed lines are ignored.
+     */
+    function parseKeywordRules(text) {
+        return text
+            .split('\n')
+            .map((line) => {
+                const separator = line.indexOf(':');
+                if (separator === -1) return null;
+                const folderName = line.slice(0, separator).trim();
+                const keywords = line
+                    .slice(separator + 1)
+                    .split(',')
+                    .map((keyword) => keyword.trim().toLowerCase())
+                    .filter(Boolean);
+                return folderName && keywords.length > 0 ? { folderName, keywords } : null;
+            })
+            .filter(Boolean);
+    }
+
+    // Names are stored HTML-escaped (see sanitizeString); the other export formats want plain text.
+    function unescapeName(name) {
+        return new DOMParser().parseFromString(name, 'text/html').documentElement.textContent;
+    }
+
+    function escapeHtml(text) {
+        return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    }
+
+    function escapeMarkdown(text) {
+        return text.replace(/([\\`*_[\]<>])/g, '\\$1');
+    }
+
+    function escapeCsvField(value) {
+        let text = String(value);
+        // Spreadsheets would run a name starting with one of these as a formula
+        if (/^[=+\-@]/.test(text)) text = `'${text}`;
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    /**
+     * Text exports of a tree of folders. build(title, folders, chats, basePath) gets the folders
+     * and loose chats (bookmarks) in display order; basePath names the folders above them.
+     */
+    const EXPORT_FORMATS = {
+        markdown: {
+            label: '📝 Markdown Outline',
+            extension: 'md',
+            mimeType: 'text/markdown',
+            build(title, folders, chats) {
+                const lines = [`# ${escapeMarkdown(title)}`, ''];
+                const addChats = (list, indent) => list.forEach((chat) => {
+                    lines.push(`${indent}- [${escapeMarkdown(unescapeName(chat.name))}](<${chat.href}>)`);
+                });
+                const addFolders = (list, indent) => list.forEach((folder) => {
+                    lines.push(`${indent}- **${escapeMarkdown(unescapeName(folder.name))}**`);
+                    addFolders(folder.folders, `${indent}  `);
+                    addChats(folder.chats, `${indent}  `);
+                });
+                addFolders(folders, '');
+                addChats(chats, '');
+                return `${lines.join('\n')}\n`;
+            },
+        },
+        html: {
+            label: '🔖 Browser Bookmarks (HTML)',
+            extension: 'html',
+            mimeType: 'text/html',
+            // The Netscape bookmark file format, which every major browser imports
+            build(title, folders, chats) {
+                const seconds = (time) => Math.floor(time / 1000);
+                const lines = [
+                    '<!DOCTYPE NETSCAPE-Bookmark-file-1>',
+                    '<META HTTP-EQUIV="Content-Type" CONTENT="text/html; charset=UTF-8">',
+                    `<TITLE>${escapeHtml(title)}</TITLE>`,
+                    `<H1>${escapeHtml(title)}</H1>`,
+                    '<DL><p>',
+                ];
+                const addChats = (list, indent) => list.forEach((chat) => {
+                    lines.push(`${indent}<DT><A HREF="${escapeHtml(chat.href)}" ADD_DATE="${seconds(chat.creationIndex)}">` +
+                        `${escapeHtml(unescapeName(chat.name))}</A>`);
+                });
+                const addFolders = (list, indent) => list.forEach((folder) => {
+                    lines.push(`${indent}<DT><H3 ADD_DATE="${seconds(folder.creationIndex)}">${escapeHtml(unescapeName(folder.name))}</H3>`);
+                    lines.push(`${indent}<DL><p>`);
+                    addFolders(folder.folders, `${indent}    `);
+                    addChats(folder.chats, `${indent}    `);
+                    lines.push(`${indent}</DL><p>`);
+                });
+                addFolders(folders, '    ');
+                addChats(chats, '    ');
+                lines.push('</DL><p>');
+                return `${lines.join('\n')}\n`;
+            },
+        },
+        csv: {
+            label: '📊 Spreadsheet (CSV)',
+            extension: 'csv',
+            mimeType: 'text/csv',
+            build(title, folders, chats, basePath) {
+                const rows = [['Folder', 'Chat name', 'URL', 'Pinned', 'Created']];
+                const addChats = (list, path) => list.forEach((chat) => {
+                    rows.push([
+                        path.join(' / '),
+                        unescapeName(chat.name),
+                        chat.href,
+                        chat.pinned ? 'yes' : 'no',
+                        new Date(chat.creationIndex).toISOString(),
+                    ]);
+                });
+                const addFolders = (list, path) => list.forEach((folder) => {
+                    const folderPath = [...path, unescapeName(folder.name)];
+                    addChats(folder.chats, folderPath);
+                    addFolders(folder.folders, folderPath);
+                });
+                addFolders(folders, basePath.map(unescapeName));
+                addChats(chats, basePath.map(unescapeName));
+                return `${rows.map((row) => row.map(escapeCsvField).join(',')).join('\r\n')}\r\n`;
+            },
+        },
+    };
+
+    // Opens the browser's file picker and hands the chosen file's text to onLoad, or the reason
+    // it couldn't be read to onError.
+    function pickFile(accept, onLoad, onError = () => {}) {
+        const fileInput = createElement('input', {
+            attributes: { type: 'file', accept },
+            styles: { display: 'none' },
+        });
+        fileInput.addEventListener('change', () => {
+            const file = fileInput.files[0];
+            if (!file) return;
+            const reader = new FileReader();
+            reader.onload = (e) => onLoad(e.target.result, file);
+            reader.onerror = () => {
+                console.error('File read error:', reader.error);
+                onError(reader.error);
+            };
+            reader.readAsText(file);
+        });
+        document.body.appendChild(fileInput);
+        fileInput.click();
+        document.body.removeChild(fileInput);
+    }
+
+    function downloadFile(contents, fileName, mimeType) {
+        const dataBlob = new Blob([contents], { type: mimeType });
+        const url = URL.createObjectURL(dataBlob);
+        const link = createElement('a', {
+            attributes: { href: url, download: fileName },
+        });
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+    }
+
+    function createElement(tag, options = {}) {
+        const element = document.createElement(tag);
+
+        if (options.attributes) {
+            for (const [key, value] of Object.entries(options.attributes)) {
+                element.setAttribute(key, value);
+            }
+        }
+
+        if (options.styles) {
+            Object.assign(element.style, options.styles);
+        }
+
+        if (options.properties) {
+            for (const [key, value] of Object.entries(options.properties)) {
+                element[key] = value;
+            }
+        }
+
+        if (options.events) {
+            for (const [eventType, listener] of Object.entries(options.events)) {
+                element.addEventListener(eventType, listener);
+            }
+        }
+
+        return element;
+    }
+
+    // Black or white, whichever reads better on the given #rrggbb background.
+    function getContrastColor(hexColor) {
+        const rgb = /^#?([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(hexColor);
+        if (!rgb) return '#000';
+        const [r, g, b] = rgb.slice(1).map((part) => parseInt(part, 16));
+        const luminance = 0.299 * r + 0.587 * g + 0.114 * b;
+        return luminance < 150 ? '#fff' : '#000';
+    }
+
+    // ChatGPT marks its theme with a class on the root element; otherwise the page background
+    // tells, and without one (or on the extension's pages) the system setting.
+    function getTheme() {
+        const rootClasses = document.documentElement.classList;
+        if (rootClasses.contains('dark')) return 'dark';
+        if (rootClasses.contains('light')) return 'light';
+
+        const backgroundColor = document.body ? getComputedStyle(document.body).backgroundColor : '';
+        const rgba = backgroundColor.match(/[\d.]+/g);
+        // A transparent background says nothing about the theme
+        if (rgba && rgba.length >= 3 && (rgba.length < 4 || Number(rgba[3]) > 0)) {
+            const [r, g, b] = rgba.map(Number);
+            const luminance = 0.299 * r + 0.587 * g + 0.114 * b;
+            return luminance < 128 ? 'dark' : 'light';
+        }
+        return window.matchMedia('(prefers-color-scheme: dark)').matches ? 'dark' : 'light';
+    }
+
+    function sortItems(a, b) {
+        // pinned first
+        if (a.pinned !== b.pinned) {
+            return a.pinned ? -1 : 1; // pinned at top
+        }
+        // both pinned => by pinnedAt ascending
+        if (a.pinned && b.pinned) {
+            return (a.pinnedAt || 0) - (b.pinnedAt || 0);
+        }
+        // both unpinned => keep stored array order, which is the manual (drag and drop) order
+        return 0;
+    }
+
+    // Fewest query characters for which one mistyped character is forgiven
+    const FUZZY_TYPO_MIN_LENGTH = 4;
+    // Subtracted from a match that needed a query character left out
+    const FUZZY_TYPO_PENALTY = 5;
+
+    // Scores needle's characters found in order in haystack, or null if some are missing.
+    function scoreInOrder(needle, haystack) {
+        let score = 0;
+        let run = 0;
+        let from = 0;
+        for (const char of needle) {
+            const index = haystack.indexOf(char, from);
+            if (index === -1) return null;
+            run = index === from && from > 0 ? run + 1 : 0;
+            score += 1 + run * 2;
+            if (index === 0 || /[\s\-_/.]/.test(haystack[index - 1])) score += 3;
+            from = index + 1;
+        }
+        return score;
+    }
+
+    /**
+     * Scores how well `query` matches `text` when its characters appear in order, but not
+     * necessarily next to each other ("fldr" matches "folder"). Runs of consecutive characters
+     * and word starts score higher. A query of four or more characters may contain one typo: a
+     * wrong, extra or swapped character ("raect" matches "react") is left out, at a cost.
+     * Returns null when the text doesn't match.
+     */
+    function fuzzyScore(query, text) {
+        const needle = query.toLowerCase().replace(/\s+/g, '');
+        const haystack = String(text).toLowerCase();
+        let score = scoreInOrder(needle, haystack);
+        if (score === null && needle.length >= FUZZY_TYPO_MIN_LENGTH) {
+            // Leaving out one character covers all three kinds of typo
+            for (let index = 0; index < needle.length; index++) {
+                const candidate = scoreInOrder(needle.slice(0, index) + needle.slice(index + 1), haystack);
+                if (candidate !== null && (score === null || candidate - FUZZY_TYPO_PENALTY > score)) {
+                    score = candidate - FUZZY_TYPO_PENALTY;
+                }
+            }
+        }
+        if (score === null) return null;
+        // Between equal matches, shorter texts are closer
+        return score - haystack.length / 1000;
+    }
+
+    // Folders in display order (pinned first), down to their sub-folders and chats.
+    function sortedForExport(folders) {
+        return folders.slice().sort(sortItems).map((folder) => ({
+            ...folder,
+            chats: folder.chats.slice().sort(sortItems),
+            folders: sortedForExport(folder.folders),
+        }));
+    }
+
+    /**
+     * Works out what merging validated imported data into the current data would do, without
+     * touching either: folders are matched by name at each level, chats by conversation URL,
+     * and tags by name. Returns { data, added, updated, skipped } where data is the
+     * merged copy and the lists describe each change for the preview.
+     */
+    function planImportMerge(current, imported) {
+        const merged = cloneData(current);
+        const plan = { data: merged, added: [], updated: [], skipped: [] };
+
+        const tagIdMap = new Map();
+        imported.tags.forEach((tag) => {
+            const existing = merged.tags.find((t) => t.name === tag.name);
+            if (existing) {
+                tagIdMap.set(tag.id, existing.id);
+                return;
+            }
+            const newTag = { ...cloneData(tag), id: generateId('tag') };
+            merged.tags.push(newTag);
+            tagIdMap.set(tag.id, newTag.id);
+            plan.added.push(`Tag "${tag.name}"`);
+        });
+
+        const mergeChats = (targetChats, importedChats, path) => {
+            importedChats.forEach((raw) => {
+                const label = `${path ? `${path} / ` : ''}"${raw.name}"`;
+                const chat = {
+                    ...cloneData(raw),
+                    tags: raw.tags.map((tagId) => tagIdMap.get(tagId)).filter(Boolean),
+                };
+                const existing = targetChats.find((c) => c.id === chat.id);
+                if (!existing) {
+                    targetChats.push(chat);
+                    plan.added.push(`Chat ${label}`);
+                    return;
+                }
+                // Already saved here: keep our copy, only picking up tags and a color it lacks
+                const newTags = chat.tags.filter((tagId) => !existing.tags.includes(tagId));
+                const newColor = !existing.color && chat.color;
+                if (newTags.length > 0 || newColor) {
+                    existing.tags.push(...newTags);
+                    if (newColor) existing.color = chat.color;
+                    const changes = [
+                        newTags.length > 0 ? `+${newTags.length} tag${newTags.length === 1 ? '' : 's'}` : null,
+                        newColor ? 'color' : null,
+                    ].filter(Boolean).join(', ');
+                    plan.updated.push(`Chat ${label} (${changes})`);
+                } else {
+                    plan.skipped.push(`Chat ${label} (already saved)`);
+                }
+            });
+        };
+
+        const mergeFolders = (targetFolders, importedFolders, path) => {
+            importedFolders.forEach((raw) => {
+                const folderPath = path ? `${path} / ${raw.name}` : raw.name;
+                let folder = targetFolders.find((f) => f.name === raw.name);
+                if (!folder) {
+                    // Fresh ids, so nothing collides with folders already here
+                    folder = { ...cloneData(folderProperties(raw)), id: generateId('folder'), chats: [], folders: [] };
+                    targetFolders.push(folder);
+                    plan.added.push(`Folder ${folderPath}`);
+                }
+                mergeChats(folder.chats, raw.chats, folderPath);
+                mergeFolders(folder.folders, raw.folders, folderPath);
+            });
+        };
+
+        mergeFolders(merged.foldersData, imported.foldersData, '');
+        mergeChats(merged.bookmarkChats, imported.bookmarkChats, 'Bookmarks');
+        return plan;
+    }
+
+    function countItems(data) {
+        let folderCount = 0;
+        let chatCount = data.bookmarkChats.length;
+        const walk = (folders) => folders.forEach((folder) => {
+            folderCount++;
+            chatCount += folder.chats.length;
+            walk(folder.folders);
+        });
+        walk(data.foldersData);
+        return { folderCount, chatCount };
+    }
+
+    return {
+        CHATGPT_ORIGIN,
+        DAY_MS,
+        DEFAULT_SETTINGS,
+        ACCENT_COLORS,
+        FOLDER_COLORS,
+        FOLDER_ICONS,
+        TAG_COLORS,
+        settings,
+        generateId,
+        isSingleEmoji,
+        emptyData,
+        cloneData,
+        loadSettings,
+        saveSettings,
+        BOOKMARKS_CONTAINER_ID,
+        mergeData,
+        enableSync,
+        saveData,
+        loadData,
+        onDataChanged,
+        onSyncError,
+        onSettingsChanged,
+        sanitizeString,
+        getConversationId,
+        getChatId,
+        normalizeChatHref,
+        DATA_VERSION,
+        RULE_TYPES,
+        checkRule,
+        matchesRule,
+        normalizeData,
+        createExport,
+        readExport,
+        readChatGptExport,
+        parseKeywordRules,
+        unescapeName,
+        EXPORT_FORMATS,
+        sortItems,
+        fuzzyScore,
+        sortedForExport,
+        planImportMerge,
+        countItems,
+        pickFile,
+        downloadFile,
+        createElement,
+        getContrastColor,
+        getTheme,
+    };
+})();